@@ -1,63 +1,202 @@
 /**
  * app.js — Orchestration Layer (DOE)
  * Buriram GP MotoGP Circuit Simulator
- * NOTE: Corner data is embedded inline (no fetch) so the app works
- * by directly opening index.html — no local server required.
+ * NOTE: Served over HTTP, the app fetches data/corners.json after boot and
+ * checks it with CornerSchema; valid data replaces the embedded CORNERS_DATA,
+ * invalid data is reported on screen and the embedded copy kept. Opened from
+ * file:// there is no fetch, so index.html still works without a server.
  */
 
 'use strict';
 
 // ─── Embedded Corner Data (source of truth: directives/circuit-data.md) ──────
+// Fallback copy of data/corners.json for file://; keep the two identical.
 const CORNERS_DATA = [
-    { id: 1, number: 1, name: "Start Hairpin", direction: "right", character: "Heavy braking hairpin after the start/finish straight", entrySpeed: 290, exitSpeed: 80, gear: 1, brakingDifficulty: 9, brakingDistance: 250, decelG: 1.5, tip: "Frena presto e difendi la linea interna — questo è il primo punto di sorpasso.\nArrivo dal lungo rettilineo start/finish.", landmark: "Rettilineo Start/Finish", mapX: 72, mapY: 22 },
-    { id: 2, number: 2, name: "Kink Left", direction: "left", character: "Fast chicane exit, near full throttle", entrySpeed: 180, exitSpeed: 210, gear: 3, brakingDifficulty: 3, brakingDistance: 50, decelG: 0.4, tip: "Frenata minima — è un kink fluido che si apre sulla seconda zona di accelerazione. Rimani largo in entrata.", landmark: "Dopo la prima accelerazione", mapX: 85, mapY: 34 },
-    { id: 3, number: 3, name: "The Hammer", direction: "right", character: "Il punto di frenata più duro del calendario MotoGP", entrySpeed: 327, exitSpeed: 77, gear: 1, brakingDifficulty: 10, brakingDistance: 293, decelG: 1.8, tip: "327→77 km/h in 293 metri. I piloti applicano 5.2 kg di forza sulla leva del freno e subiscono 1.8G di decelerazione. Dopo il rettilineo da 1000m. Frenare tardi = gloria o ghiaia.", landmark: "Fine rettilineo lungo (~1000m)", mapX: 88, mapY: 62 },
-    { id: 4, number: 4, name: "Second Apex", direction: "left", character: "Chicane con T3 — apice stretto", entrySpeed: 130, exitSpeed: 150, gear: 2, brakingDifficulty: 5, brakingDistance: 80, decelG: 0.8, tip: "Parte del complesso chicane T3-T4. Apice a sinistra stretto per impostare la zona di accelerazione. Uscita in 2ª marcia.", landmark: "Complesso chicane T3-T4", mapX: 80, mapY: 72 },
-    { id: 5, number: 5, name: "Thai Tight", direction: "right", character: "Zona tecnica di frenata con marcatore a riga bianca", entrySpeed: 240, exitSpeed: 100, gear: 2, brakingDifficulty: 8, brakingDistance: 180, decelG: 1.4, tip: "Cerca la riga bianca sul lato destro della pista come punto di frenata. Vai il più stretto possibile — tienila in 2ª marcia.", landmark: "Riga bianca come marcatore", mapX: 65, mapY: 82 },
-    { id: 6, number: 6, name: "Flowing Left", direction: "left", character: "Curvone ad alta velocità — porta velocità massima", entrySpeed: 220, exitSpeed: 205, gear: 4, brakingDifficulty: 2, brakingDistance: 30, decelG: 0.3, tip: "Una delle curve più veloci del circuito. Frenata minimale — lascia scorrere la moto. Bilanciamento del telaio e temperatura gomme sono cruciali qui.", landmark: "Inizio settore fluido", mapX: 48, mapY: 78 },
-    { id: 7, number: 7, name: "Back Entry", direction: "right", character: "Apre il settore centrale, alimenta la sezione posteriore", entrySpeed: 200, exitSpeed: 185, gear: 3, brakingDifficulty: 3, brakingDistance: 60, decelG: 0.5, tip: "Una destra a media velocità che ti porta nel settore più tecnico interno. Entrata fluida — non sacrificare la velocità in uscita.", landmark: "Ingresso infield", mapX: 35, mapY: 68 },
-    { id: 8, number: 8, name: "Sweeper", direction: "left", character: "Curva a raggio costante ad alta velocità", entrySpeed: 210, exitSpeed: 195, gear: 4, brakingDifficulty: 2, brakingDistance: 30, decelG: 0.3, tip: "Una sinistra lunga e fluida. Impegna presto e mantieni una traiettoria costante. Buon grip qui — fidati della gomma.", landmark: "Curvone posteriore", mapX: 22, mapY: 60 },
-    { id: 9, number: 9, name: "Inner Loop", direction: "right", character: "Sezione tecnica lenta nell'infield — imbocca T10", entrySpeed: 140, exitSpeed: 120, gear: 2, brakingDifficulty: 6, brakingDistance: 100, decelG: 1.0, tip: "Tienila in 2ª marcia attraverso T9 e T10. Velocità costante in questo tratto. La traiettoria di uscita da T10 è fondamentale per il settore finale.", landmark: "Loop tecnico infield", mapX: 20, mapY: 42 },
-    { id: 10, number: 10, name: "Inner Exit", direction: "left", character: "Stretto seguito di T9 che collega al settore finale", entrySpeed: 120, exitSpeed: 130, gear: 2, brakingDifficulty: 5, brakingDistance: 70, decelG: 0.8, tip: "Parte del loop T9-T10. Ottieni una buona uscita qui — hai bisogno di forte trazione per il tratto veloce verso T11.", landmark: "Loop infield T9-T10", mapX: 32, mapY: 32 },
-    { id: 11, number: 11, name: "Fast Right", direction: "right", character: "Destra veloce ad alto grip prima del complesso finale", entrySpeed: 220, exitSpeed: 200, gear: 4, brakingDifficulty: 3, brakingDistance: 60, decelG: 0.5, tip: "Una destra fluida e veloce che porta alla chicane finale. La trazione è essenziale — questa alimenta direttamente la zona di frenata di T12.", landmark: "Ingresso settore finale", mapX: 50, mapY: 22 },
-    { id: 12, number: 12, name: "Glory Corner", direction: "left", character: "Prime last-lap overtaking spot — the decisive corner", entrySpeed: 290, exitSpeed: 90, gear: 1, brakingDifficulty: 9, brakingDistance: 213, decelG: 1.6, tip: "Il board arancione sul muro sinistro è il marcatore di frenata. 213 metri di frenata. Con il traguardo così vicino, un attacco qui all'ultimo giro può vincere o perdere la gara. Tardi = ghiaia.", landmark: "Board arancione, muro pneumatici sinistro", mapX: 60, mapY: 22 }
+    { id: 1, number: 1, name: "Start Hairpin", direction: "right", character: { en: "Heavy braking hairpin after the start/finish straight", it: "Tornante in forte frenata dopo il rettilineo di partenza" }, entrySpeed: 290, exitSpeed: 80, gear: 1, brakingDifficulty: 9, brakingDistance: 250, decelG: 1.5, tip: { en: "Brake early and defend the inside line — this is the first overtaking point of the race. Entry from the long S/F straight.", it: "Frena presto e difendi la linea interna — questo è il primo punto di sorpasso.\nArrivo dal lungo rettilineo start/finish." }, landmark: { en: "Start/Finish straight", it: "Rettilineo Start/Finish" } },
+    { id: 2, number: 2, name: "Kink Left", direction: "left", character: { en: "Fast chicane exit, near full throttle", it: "Uscita veloce dalla chicane, quasi a gas aperto" }, entrySpeed: 180, exitSpeed: 210, gear: 3, brakingDifficulty: 3, brakingDistance: 50, decelG: 0.4, tip: { en: "Minimal braking — this is a flowing kink that opens up onto the second acceleration zone. Stay wide on entry.", it: "Frenata minima — è un kink fluido che si apre sulla seconda zona di accelerazione. Rimani largo in entrata." }, landmark: { en: "After T1 acceleration", it: "Dopo la prima accelerazione" } },
+    { id: 3, number: 3, name: "The Hammer", direction: "right", character: { en: "The hardest braking point on the MotoGP calendar", it: "Il punto di frenata più duro del calendario MotoGP" }, entrySpeed: 327, exitSpeed: 77, gear: 1, brakingDifficulty: 10, brakingDistance: 293, decelG: 1.8, tip: { en: "327→77 km/h in 293 metres. Riders apply 5.2 kg of force on the brake lever and experience 1.8G of deceleration. Preceded by the 1000m back straight. Late braking = glory or gravel.", it: "327→77 km/h in 293 metri. I piloti applicano 5.2 kg di forza sulla leva del freno e subiscono 1.8G di decelerazione. Dopo il rettilineo da 1000m. Frenare tardi = gloria o ghiaia." }, landmark: { en: "End of back straight (~1000m)", it: "Fine rettilineo lungo (~1000m)" } },
+    { id: 4, number: 4, name: "Second Apex", direction: "left", character: { en: "Linked chicane with T3 — tight apex", it: "Chicane con T3 — apice stretto" }, entrySpeed: 130, exitSpeed: 150, gear: 2, brakingDifficulty: 5, brakingDistance: 80, decelG: 0.8, tip: { en: "Part of the T3-T4 chicane complex. Get a tight apex on the left to set up the acceleration zone. 2nd gear exit.", it: "Parte del complesso chicane T3-T4. Apice a sinistra stretto per impostare la zona di accelerazione. Uscita in 2ª marcia." }, landmark: { en: "T3-T4 chicane complex", it: "Complesso chicane T3-T4" } },
+    { id: 5, number: 5, name: "Thai Tight", direction: "right", character: { en: "Technical braking zone with white-line marker", it: "Zona tecnica di frenata con marcatore a riga bianca" }, entrySpeed: 240, exitSpeed: 100, gear: 2, brakingDifficulty: 8, brakingDistance: 180, decelG: 1.4, tip: { en: "Look for the white line on the right side of the track as your braking marker. Go as tight as possible through this corner — hold it in 2nd gear.", it: "Cerca la riga bianca sul lato destro della pista come punto di frenata. Vai il più stretto possibile — tienila in 2ª marcia." }, landmark: { en: "White line braking marker", it: "Riga bianca come marcatore" }, brakingMarker: { kind: "line", side: "right", color: "#ffffff" } },
+    { id: 6, number: 6, name: "Flowing Left", direction: "left", character: { en: "High-speed sweeper — carry maximum speed", it: "Curvone ad alta velocità — porta velocità massima" }, entrySpeed: 220, exitSpeed: 205, gear: 4, brakingDifficulty: 2, brakingDistance: 30, decelG: 0.3, tip: { en: "One of the fastest corners on the circuit. Minimal braking — let the bike flow through. Chassis balance and tyre temperature are critical here.", it: "Una delle curve più veloci del circuito. Frenata minimale — lascia scorrere la moto. Bilanciamento del telaio e temperatura gomme sono cruciali qui." }, landmark: { en: "Start of flowing sector", it: "Inizio settore fluido" } },
+    { id: 7, number: 7, name: "Back Straight Entry", direction: "right", character: { en: "Opens the middle sector, feeds into back section", it: "Apre il settore centrale, alimenta la sezione posteriore" }, entrySpeed: 200, exitSpeed: 185, gear: 3, brakingDifficulty: 3, brakingDistance: 60, decelG: 0.5, tip: { en: "A medium-speed right that transitions you into the more technical infield. Smooth entry — don't sacrifice corner exit speed.", it: "Una destra a media velocità che ti porta nel settore più tecnico interno. Entrata fluida — non sacrificare la velocità in uscita." }, landmark: { en: "Infield entry", it: "Ingresso infield" } },
+    { id: 8, number: 8, name: "Sweeper", direction: "left", character: { en: "Constant-radius high-speed sweeper", it: "Curva a raggio costante ad alta velocità" }, entrySpeed: 210, exitSpeed: 195, gear: 4, brakingDifficulty: 2, brakingDistance: 30, decelG: 0.3, tip: { en: "A long, flowing left. Commit early and hold a constant line. Good grip here — trust the tyre.", it: "Una sinistra lunga e fluida. Impegna presto e mantieni una traiettoria costante. Buon grip qui — fidati della gomma." }, landmark: { en: "Back sweeper", it: "Curvone posteriore" } },
+    { id: 9, number: 9, name: "Inner Loop", direction: "right", character: { en: "Slow technical infield section — feeds T10", it: "Sezione tecnica lenta nell'infield — imbocca T10" }, entrySpeed: 140, exitSpeed: 120, gear: 2, brakingDifficulty: 6, brakingDistance: 100, decelG: 1.0, tip: { en: "Hold it in 2nd gear through T9 and into T10. Constant speed through this section. Your exit line from T10 is what matters for the final sector.", it: "Tienila in 2ª marcia attraverso T9 e T10. Velocità costante in questo tratto. La traiettoria di uscita da T10 è fondamentale per il settore finale." }, landmark: { en: "Technical infield loop", it: "Loop tecnico infield" } },
+    { id: 10, number: 10, name: "Inner Exit", direction: "left", character: { en: "Tight follow-on to T9 linking to final sector", it: "Stretto seguito di T9 che collega al settore finale" }, entrySpeed: 120, exitSpeed: 130, gear: 2, brakingDifficulty: 5, brakingDistance: 70, decelG: 0.8, tip: { en: "Part of the T9-T10 loop. Get a good exit here — you need strong drive for the fast run to T11.", it: "Parte del loop T9-T10. Ottieni una buona uscita qui — hai bisogno di forte trazione per il tratto veloce verso T11." }, landmark: { en: "T9-T10 infield loop", it: "Loop infield T9-T10" } },
+    { id: 11, number: 11, name: "Fast Right", direction: "right", character: { en: "High-grip fast right before the final complex", it: "Destra veloce ad alto grip prima del complesso finale" }, entrySpeed: 220, exitSpeed: 200, gear: 4, brakingDifficulty: 3, brakingDistance: 60, decelG: 0.5, tip: { en: "A fast, flowing right that sets you up for the final chicane. Good traction is essential — this feeds directly into the T12 braking zone.", it: "Una destra fluida e veloce che porta alla chicane finale. La trazione è essenziale — questa alimenta direttamente la zona di frenata di T12." }, landmark: { en: "Final sector entry", it: "Ingresso settore finale" } },
+    { id: 12, number: 12, name: "Glory Corner", direction: "left", character: { en: "Prime last-lap overtaking spot — the decisive corner", it: "Il punto di sorpasso per eccellenza all'ultimo giro — la curva decisiva" }, entrySpeed: 290, exitSpeed: 90, gear: 1, brakingDifficulty: 9, brakingDistance: 213, decelG: 1.6, tip: { en: "The orange board on the left tyre wall is your braking marker. 213 metres of braking. With the finish line so close, a dive here on the last lap can win or lose the race. Braking too late = gravel trap.", it: "Il board arancione sul muro sinistro è il marcatore di frenata. 213 metri di frenata. Con il traguardo così vicino, un attacco qui all'ultimo giro può vincere o perdere la gara. Tardi = ghiaia." }, landmark: { en: "Orange board marker, left tyre wall", it: "Board arancione, muro pneumatici sinistro" }, brakingMarker: { kind: "board", side: "left", color: "#ff7a1a" } }
 ];
 
+// ─── Circuit Packages ────────────────────────────────────────────────────────
+// Chang is built in so index.html still works from file://. Other circuits are
+// package files listed in data/circuits.json (format: directives/circuit-packages.md).
+const CIRCUIT_MANIFEST = 'data/circuits.json';
+const CORNERS_FILE = 'data/corners.json';
+const CIRCUIT_KEY = 'buriramgp.circuit';
+const LOAD_CIRCUIT_OPTION = '__file__';
+const RIVALS_KEY = 'buriramgp.rivals';
+const CAMERA_KEY = 'buriramgp.camera';
+const CONDITIONS_KEY = 'buriramgp.conditions';
+const GEARBOX_KEY = 'buriramgp.gearbox';
+const SOUND_KEY = 'buriramgp.sound';
+const RACE_LAP_OPTIONS = [3, 5, 10];
+const RESULTS_DELAY = 2500;     // ms of chequered flag before the results screen
+const CORNER_CARD_DELAY = 3000; // ms the corner card stays up after the turn-in
+const QUIZ_ROUND_OPTIONS = [6, 12, 18];
+const WALK_MIN_STEP = 2.5;          // seconds every corner gets at 1×
+const WALK_PACE = 0.8;              // walkthrough seconds per second the corner takes at racing speed
+const WALK_SPEEDS = [0.5, 1, 1.5, 2];
+const SPOT_ROUNDS = 5;
+const SPOT_MAX_POINTS = 100;        // for an answer given as the corner is spawned
+const SPOT_NEXT_DELAY = 2500;       // ms the answer stays on screen before the next approach
+const QUIZ_FEEDBACK_DELAY = 2200;   // ms the answer stays on screen before the next question
+
+const BUILTIN_CIRCUITS = [{
+    id: 'chang',
+    name: 'Chang International Circuit',
+    location: 'Buriram, Thailand',
+    stats: [
+        { value: '4.554', label: 'km' },
+        { value: '12', label: { en: 'Turns', it: 'Curve' } },
+        { value: '1000m', label: { en: 'Main Straight', it: 'Rettilineo' } },
+        { value: '327', label: { en: 'Max km/h', it: 'Max km/h' } },
+        { value: '↻', label: { en: 'Clockwise', it: 'Orario' } },
+    ],
+    model: CircuitModel.chang,
+    corners: CORNERS_DATA,
+}];
+
 // ─── State ───────────────────────────────────────────────────────────────────
 const App = {
     corners: [],
     mode: 'explore',
     selectedCorner: null,
-    walkStep: 0,
-    walkTimer: null,
-    quizRound: 0,
-    quizScore: 0,
-    quizCorrect: null,
-    quizMaxRounds: 6,
+    walk: null,                 // walkthrough player, see startWalkthrough()
+    walkSpeed: 1,
+    walkNarrate: false,
+    quiz: null,                 // Quiz session, see startQuizSession()
+    quizRounds: QUIZ_ROUND_OPTIONS[0],
+    quizKinds: [...Quiz.KINDS],
+    quizOrder: [],              // corners tapped so far on a braking-order question
+    quizTimer: null,
+    spot: null,                 // name-that-corner challenge in Ride 3D, see startSpotting()
+    spotTimer: null,
+    drill: null,                // braking drill in Ride 3D, see startDrill()
+    drillCorner: null,          // corner number picked for the drill
+    bindingAction: null,
+    lastTelemetry: null,
+    cornerTimer: null,
+    rivalsOn: true,
+    camera: RideEngine.CAMERAS[0],
+    conditions: RideEngine.CONDITIONS[0],
+    gearbox: RideEngine.GEARBOXES[0],
+    soundOn: true,
+    raceLaps: RACE_LAP_OPTIONS[0],
+    raceResults: null,
+    editor: null,               // draft of the corner editor, see startEditor()
+    dataProblem: null,          // { file, data } or { file, message } when corners.json was rejected
     engine: null,
+    minimapFrame: null,         // pending requestAnimationFrame of trackMinimap()
+    circuit: null,
+    circuitId: null,
+    circuits: [],
 };
 
 // ─── Boot ─────────────────────────────────────────────────────────────────────
 function boot() {
-    App.corners = CORNERS_DATA;
+    I18n.setLocale(I18n.detectLocale());
+    buildLanguageSwitcher();
+    I18n.applyStatic();
 
-    buildMapMarkers();
+    try { App.rivalsOn = localStorage.getItem(RIVALS_KEY) !== 'off'; } catch (e) { /* default on */ }
+    markRivalsButton();
+    try { App.camera = RideEngine.CAMERAS.find(c => c === localStorage.getItem(CAMERA_KEY)) || App.camera; } catch (e) { /* default onboard */ }
+    renderCameraButton();
+    try { App.conditions = RideEngine.CONDITIONS.find(c => c === localStorage.getItem(CONDITIONS_KEY)) || App.conditions; } catch (e) { /* default day */ }
+    buildConditionOptions();
+    try { App.gearbox = RideEngine.GEARBOXES.find(g => g === localStorage.getItem(GEARBOX_KEY)) || App.gearbox; } catch (e) { /* default auto */ }
+    renderGearboxButton();
+    try { App.soundOn = localStorage.getItem(SOUND_KEY) !== 'off'; } catch (e) { /* default on */ }
+    markSoundButton();
+    buildRaceLapOptions();
+    buildQuizSetup();
+    buildWalkControls();
+
+    const savedCircuit = readSavedCircuitId();
+    App.circuits = [...BUILTIN_CIRCUITS];
+    selectCircuit(App.circuits.find(c => c.id === savedCircuit) || App.circuits[0]);
+    buildCircuitOptions();
     switchMode('explore');
     selectCorner(App.corners[0]);
+    loadCornerData().then(() => loadCircuitPackages(savedCircuit));
+
+    document.getElementById('circuit-select').addEventListener('change', onCircuitPicked);
+    document.getElementById('circuit-file').addEventListener('change', importCircuitFile);
 
     document.getElementById('btn-ride').addEventListener('click', () => switchMode('ride'));
     document.getElementById('btn-explore').addEventListener('click', () => switchMode('explore'));
     document.getElementById('btn-walk').addEventListener('click', () => switchMode('walkthrough'));
     document.getElementById('btn-quiz').addEventListener('click', () => switchMode('quiz'));
+    document.getElementById('btn-editor').addEventListener('click', () => switchMode('editor'));
+
+    document.getElementById('btn-ghost-export').addEventListener('click', exportGhost);
+    document.getElementById('btn-ghost-import').addEventListener('click', () => document.getElementById('ghost-file').click());
+    document.getElementById('ghost-file').addEventListener('change', importGhost);
+    document.getElementById('btn-controls').addEventListener('click', toggleControlsPanel);
+    document.getElementById('btn-telemetry').addEventListener('click', toggleTelemetryPanel);
+    document.getElementById('btn-rivals').addEventListener('click', toggleRivals);
+    document.getElementById('btn-camera').addEventListener('click', cycleCamera);
+    document.getElementById('btn-replay').addEventListener('click', toggleReplay);
+    document.getElementById('ride-conditions').addEventListener('change', onConditionsPicked);
+    document.getElementById('btn-gearbox').addEventListener('click', toggleGearbox);
+    document.getElementById('btn-sound').addEventListener('click', toggleSound);
+    document.getElementById('race-laps').addEventListener('change', onRaceLapsPicked);
+    document.getElementById('btn-race').addEventListener('click', startRace);
+    document.getElementById('btn-race-again').addEventListener('click', startRace);
+    document.getElementById('btn-race-close').addEventListener('click', endRace);
+    document.getElementById('btn-spot').addEventListener('click', startSpotting);
+    document.getElementById('btn-spot-again').addEventListener('click', startSpotting);
+    document.getElementById('btn-spot-close').addEventListener('click', closeSpotting);
+    document.getElementById('drill-corner').addEventListener('change', onDrillCornerPicked);
+    document.getElementById('btn-drill').addEventListener('click', toggleDrill);
+    document.getElementById('btn-drill-again').addEventListener('click', startDrill);
+    document.getElementById('btn-drill-close').addEventListener('click', closeDrill);
+    document.getElementById('quiz-rounds').addEventListener('change', e => { App.quizRounds = Number(e.target.value); });
+    document.getElementById('btn-quiz-start').addEventListener('click', startQuizSession);
+    document.getElementById('btn-quiz-forget').addEventListener('click', forgetQuizMistakes);
+    document.getElementById('btn-controls-reset').addEventListener('click', () => applyBindings(RideInput.resetBindings()));
+    window.addEventListener('keydown', captureBinding, true);
 
     document.getElementById('btn-prev').addEventListener('click', () => navCorner(-1));
     document.getElementById('btn-next').addEventListener('click', () => navCorner(+1));
+    document.getElementById('btn-walk-play').addEventListener('click', toggleWalkPlay);
+    document.getElementById('btn-walk-prev').addEventListener('click', () => stepWalk(-1));
+    document.getElementById('btn-walk-next').addEventListener('click', () => stepWalk(+1));
+    document.getElementById('btn-walk-narrate').addEventListener('click', toggleWalkNarration);
+    document.getElementById('walk-speed').addEventListener('change', e => {
+        App.walkSpeed = Number(e.target.value);
+        e.target.blur();
+    });
+    document.getElementById('walk-bar').addEventListener('pointerdown', startWalkSeek);
+
+    document.getElementById('btn-editor-corners').addEventListener('click', exportEditorCorners);
+    document.getElementById('btn-editor-package').addEventListener('click', exportEditorPackage);
+    document.getElementById('btn-editor-reset').addEventListener('click', resetEditorDraft);
+    document.getElementById('btn-data-errors-close').addEventListener('click', () => {
+        document.getElementById('data-errors').hidden = true;
+    });
 
     document.addEventListener('keydown', e => {
+        if (e.target.closest && e.target.closest('input, textarea, select')) return;
         if (e.key === 'Escape' && App.mode === 'ride') switchMode('explore');
         if ((e.key === 'r' || e.key === 'R') && App.mode !== 'ride') switchMode('ride');
         if (e.key === 'ArrowLeft' && App.mode === 'explore') navCorner(-1);
         if (e.key === 'ArrowRight' && App.mode === 'explore') navCorner(+1);
+        if (e.key === 'ArrowLeft' && App.mode === 'walkthrough') stepWalk(-1);
+        if (e.key === 'ArrowRight' && App.mode === 'walkthrough') stepWalk(+1);
+        if (e.key === ' ' && App.mode === 'walkthrough' && !e.target.closest('button')) {
+            e.preventDefault();
+            toggleWalkPlay();
+        }
     });
 
     window.addEventListener('resize', resizeCanvas);
@@ -67,13 +206,29 @@ function boot() {
 // ─── Mode Router ─────────────────────────────────────────────────────────────
 function switchMode(mode) {
     if (App.mode === 'ride' && App.engine) {
-        App.engine.stop();
+        App.engine.destroy();
         App.engine = null;
     }
-    if (App.walkTimer) {
-        clearInterval(App.walkTimer);
-        App.walkTimer = null;
-    }
+    cancelAnimationFrame(App.minimapFrame);
+    App.minimapFrame = null;
+    clearTimeout(App.cornerTimer);
+    document.getElementById('ride-corner').hidden = true;
+    document.getElementById('controls-panel').hidden = true;
+    document.getElementById('telemetry-panel').hidden = true;
+    document.getElementById('race-panel').hidden = true;
+    document.getElementById('spot-panel').hidden = true;
+    document.getElementById('spot-overlay').hidden = true;
+    document.getElementById('drill-panel').hidden = true;
+    document.getElementById('ride-section').classList.remove('spotting');
+    clearTimeout(App.spotTimer);
+    App.spot = null;
+    App.drill = null;
+    markDrillButton();
+    App.bindingAction = null;
+    if (App.mode === 'editor') buildMapMarkers();
+    stopWalkthrough();
+    clearTimeout(App.quizTimer);
+    App.quiz = null;
 
     App.mode = mode;
 
@@ -84,6 +239,7 @@ function switchMode(mode) {
     document.getElementById('map-section').style.display = mode !== 'ride' ? 'flex' : 'none';
     document.getElementById('corner-panel').style.display = (mode === 'explore' || mode === 'walkthrough') ? 'flex' : 'none';
     document.getElementById('quiz-panel').style.display = mode === 'quiz' ? 'flex' : 'none';
+    document.getElementById('editor-panel').style.display = mode === 'editor' ? 'flex' : 'none';
 
     const walkBar = document.getElementById('walk-bar-wrap');
     if (walkBar) walkBar.style.display = mode === 'walkthrough' ? 'block' : 'none';
@@ -91,9 +247,270 @@ function switchMode(mode) {
     if (mode === 'ride') startRide();
     if (mode === 'walkthrough') startWalkthrough();
     if (mode === 'quiz') startQuiz();
+    if (mode === 'editor') startEditor();
     if (mode === 'explore') { clearMapHighlights(); if (App.selectedCorner) selectCorner(App.selectedCorner); }
 }
 
+// ─── CIRCUITS ─────────────────────────────────────────────────────────────────
+function circuitFromPackage(pkg) {
+    if (!pkg || !pkg.circuit || !Array.isArray(pkg.corners)) throw new Error('Package needs "circuit" and "corners"');
+    const model = new CircuitModel({ id: pkg.id, name: pkg.name, ...pkg.circuit });
+    model.corners.forEach(range => {
+        if (!pkg.corners.some(c => c.number === range.id)) throw new Error(`${pkg.id}: no corner data for T${range.id}`);
+    });
+    pkg.corners.forEach(c => {
+        if (!model.corners.some(range => range.id === c.number)) throw new Error(`${pkg.id}: T${c.number} has no corner range`);
+    });
+    const errors = CornerSchema.validateCorners(pkg.corners, model.corners.map(r => r.id));
+    if (errors.length) throw new Error(`${pkg.id}: ${errors.map(CornerSchema.formatError).join('; ')}`);
+    return {
+        id: pkg.id,
+        name: pkg.name,
+        location: pkg.location || '',
+        stats: pkg.stats || [],
+        model,
+        corners: pkg.corners,
+    };
+}
+
+function addCircuit(circuit) {
+    App.circuits = [...App.circuits.filter(c => c.id !== circuit.id), circuit];
+    buildCircuitOptions();
+}
+
+// Replaces the embedded Chang corners with data/corners.json when served over HTTP.
+// A file that can't be read or fails the schema is reported and the embedded copy kept;
+// one that matches it changes nothing.
+async function loadCornerData() {
+    if (location.protocol === 'file:') return;
+    let data;
+    try {
+        const res = await fetch(CORNERS_FILE);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        data = await res.json();
+    } catch (e) {
+        console.warn('Corner data unavailable:', e);
+        showDataProblem({ file: CORNERS_FILE, message: e.message });
+        return;
+    }
+
+    const chang = BUILTIN_CIRCUITS[0];
+    if (cornerDataErrors(data).length) {
+        showDataProblem({ file: CORNERS_FILE, data });
+        return;
+    }
+    if (JSON.stringify(data) === JSON.stringify(CORNERS_DATA)) return;
+    chang.corners = data;
+    if (App.circuitId === chang.id) refreshCorners(data);
+}
+
+// New data for the corners of the circuit on show, without restarting the mode in use: the
+// file arrives after boot, when a quiz, walkthrough, editor draft or ride may already be
+// under way, and those keep the corners they started with until they are next started.
+// Validation guarantees the same corner numbers, so the map markers and minimap stand.
+function refreshCorners(corners) {
+    const selected = App.selectedCorner && App.selectedCorner.number;
+    App.corners = corners;
+    App.selectedCorner = corners.find(c => c.number === selected) || corners[0];
+    renderCircuitInfo(App.circuits.find(c => c.id === App.circuitId));
+    buildDrillOptions();
+    if (App.mode === 'explore') renderPanel(App.selectedCorner);
+}
+
+function cornerDataErrors(data) {
+    return CornerSchema.validateCorners(data, BUILTIN_CIRCUITS[0].model.corners.map(r => r.id));
+}
+
+function showDataProblem(problem) {
+    App.dataProblem = problem;
+    renderDataProblem();
+}
+
+// Validation runs again on render so the messages follow the language switch.
+function renderDataProblem() {
+    const problem = App.dataProblem;
+    if (!problem) return;
+    const title = document.getElementById('data-errors-title');
+    const list = document.getElementById('data-errors-list');
+    list.innerHTML = '';
+    if (problem.message) {
+        title.textContent = I18n.t('data.unreadable', { file: problem.file, message: problem.message });
+    } else {
+        title.textContent = I18n.t('data.invalid', { file: problem.file });
+        cornerDataErrors(problem.data).forEach(e => {
+            const li = document.createElement('li');
+            li.textContent = CornerSchema.formatError(e);
+            list.appendChild(li);
+        });
+    }
+    document.getElementById('data-errors').hidden = false;
+}
+
+// Fetches the packages listed in the manifest; only possible when served over HTTP.
+async function loadCircuitPackages(savedCircuit) {
+    if (location.protocol === 'file:') return;
+    let files = [];
+    try {
+        const res = await fetch(CIRCUIT_MANIFEST);
+        if (res.ok) files = await res.json();
+    } catch (e) {
+        console.warn('Circuit manifest unavailable:', e);
+    }
+
+    for (const file of files) {
+        try {
+            const res = await fetch(`data/${file}`);
+            addCircuit(circuitFromPackage(await res.json()));
+        } catch (e) {
+            console.warn(`Skipping circuit package ${file}:`, e);
+        }
+    }
+
+    const circuit = App.circuits.find(c => c.id === savedCircuit);
+    if (circuit) changeCircuit(circuit);
+}
+
+function readSavedCircuitId() {
+    try { return localStorage.getItem(CIRCUIT_KEY); } catch (e) { return null; }
+}
+
+function buildCircuitOptions() {
+    const select = document.getElementById('circuit-select');
+    select.innerHTML = '';
+    App.circuits.forEach(c => select.add(new Option(c.location ? `${c.name} — ${c.location}` : c.name, c.id)));
+    select.add(new Option(I18n.t('circuit.load'), LOAD_CIRCUIT_OPTION));
+    select.value = App.circuitId;
+}
+
+function onCircuitPicked(e) {
+    const value = e.target.value;
+    e.target.blur();
+    if (value === LOAD_CIRCUIT_OPTION) {
+        e.target.value = App.circuitId;
+        document.getElementById('circuit-file').click();
+        return;
+    }
+    changeCircuit(App.circuits.find(c => c.id === value));
+}
+
+async function importCircuitFile(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+        const circuit = circuitFromPackage(JSON.parse(await file.text()));
+        addCircuit(circuit);
+        changeCircuit(circuit);
+    } catch (err) {
+        console.warn('Circuit import failed:', err);
+        alert(I18n.t('circuit.rejected', { message: err.message }));
+    }
+}
+
+function selectCircuit(circuit) {
+    App.circuitId = circuit.id;
+    App.circuit = circuit.model;
+    App.corners = circuit.corners;
+    App.selectedCorner = App.corners[0];
+    App.editor = null;
+    try { localStorage.setItem(CIRCUIT_KEY, circuit.id); } catch (e) { /* not persisted */ }
+
+    document.getElementById('circuit-select').value = circuit.id;
+    renderCircuitInfo(circuit);
+    buildTrackPath();
+    buildMapMarkers();
+    buildMinimap();
+    buildDrillOptions();
+}
+
+// Switches circuit and restarts whichever mode is running against it.
+function changeCircuit(circuit) {
+    if (!circuit || circuit.id === App.circuitId) return;
+    reloadCircuit(circuit);
+}
+
+function reloadCircuit(circuit) {
+    const mode = App.mode;
+    switchMode('explore');
+    selectCircuit(circuit);
+    switchMode(mode);
+}
+
+function renderCircuitInfo(circuit) {
+    document.getElementById('circuit-badge').textContent = I18n.t('circuit.badge', {
+        name: circuit.name,
+        km: (circuit.model.lengthM / 1000).toFixed(3),
+        turns: circuit.corners.length,
+    });
+    renderMapStats(circuit.stats);
+}
+
+function renderMapStats(stats) {
+    const strip = document.getElementById('map-stats');
+    strip.innerHTML = '';
+    stats.forEach(({ value, label }) => {
+        const stat = document.createElement('div');
+        stat.className = 'map-stat';
+        stat.innerHTML = '<div class="map-stat-val"></div><div class="map-stat-lbl"></div>';
+        stat.firstChild.textContent = value;
+        stat.lastChild.textContent = I18n.text(label);
+        strip.appendChild(stat);
+    });
+}
+
+// ─── LANGUAGE ────────────────────────────────────────────────────────────────
+function buildLanguageSwitcher() {
+    const wrap = document.getElementById('lang-switch');
+    if (!wrap) return;
+    I18n.locales.forEach(code => {
+        const btn = document.createElement('button');
+        btn.className = 'lang-btn';
+        btn.dataset.locale = code;
+        btn.textContent = code.toUpperCase();
+        btn.addEventListener('click', () => changeLanguage(code));
+        wrap.appendChild(btn);
+    });
+    markActiveLanguage();
+}
+
+function markActiveLanguage() {
+    document.querySelectorAll('.lang-btn').forEach(b => {
+        b.classList.toggle('active', b.dataset.locale === I18n.locale);
+    });
+}
+
+// Re-renders every visible string in place; the running mode is left untouched.
+function changeLanguage(code) {
+    if (code === I18n.locale) return;
+    I18n.setLocale(code);
+    markActiveLanguage();
+    I18n.applyStatic();
+
+    buildCircuitOptions();
+    renderCircuitInfo(App.circuits.find(c => c.id === App.circuitId));
+    if (App.selectedCorner) renderPanel(App.selectedCorner);
+    if (!document.getElementById('controls-panel').hidden) renderControls(RideInput.bindings());
+    if (!document.getElementById('telemetry-panel').hidden) renderTelemetry();
+    buildRaceLapOptions();
+    buildConditionOptions();
+    renderCameraButton();
+    renderGearboxButton();
+    if (!document.getElementById('race-panel').hidden) renderRaceResults();
+    if (!document.getElementById('spot-overlay').hidden) renderSpotRound();
+    if (!document.getElementById('spot-panel').hidden) renderSpotResults();
+    if (!document.getElementById('drill-panel').hidden) renderDrillResults();
+    if (App.mode === 'editor') showEditorDraft();
+    if (App.walk) renderWalkControls();
+    if (!document.getElementById('data-errors').hidden) renderDataProblem();
+    buildQuizSetup();
+    if (App.mode === 'quiz') {
+        if (!App.quiz) showQuizSetup();
+        else if (App.quiz.question) renderQuizQuestion();
+        else if (document.querySelector('.quiz-result')) showQuizResult();
+        renderQuizScore();
+    }
+}
+
 // ─── RIDE MODE ───────────────────────────────────────────────────────────────
 async function startRide() {
     // Show loading indicator in console or UI if needed
@@ -103,21 +520,610 @@ async function startRide() {
     requestAnimationFrame(async () => {
         resizeCanvas();
         const canvas = document.getElementById('ride-canvas');
-        App.engine = new RideEngine();
+        const engine = App.engine = new RideEngine();
 
         // Await asset loading inside init
-        await App.engine.init(canvas, App.corners);
+        await engine.init(canvas, App.corners, App.circuit);
+        if (App.engine !== engine) {
+            // Ride mode was left while the assets loaded
+            engine.destroy();
+            return;
+        }
+        engine.setRivals(App.rivalsOn);
+        engine.setCamera(App.camera);
+        engine.setConditions(App.conditions);
+        engine.setGearbox(App.gearbox);
+        engine.setSound(App.soundOn);
 
         // Setup communication
-        App.onLapComplete = () => {
-            const el = document.getElementById('lap-flash');
-            if (el) { el.style.opacity = 1; setTimeout(() => el.style.opacity = 0, 1800); }
-        };
+        App.lastTelemetry = null;
+        engine.on('lapComplete', lap => {
+            flashRideMessage(I18n.t(lap.personalBest ? 'ride.personalBest' : 'ride.lapComplete'));
+            App.lastTelemetry = lap.telemetry;
+            if (!document.getElementById('telemetry-panel').hidden) renderTelemetry();
+        });
+        engine.on('sectorSplit', split => {
+            if (split.improved) flashRideMessage(I18n.t('ride.sectorBest', { sector: split.sector + 1, time: RideEngine.formatLapTime(split.time) }));
+        });
+        engine.on('cornerEntered', showCornerCard);
+        engine.on('offTrack', () => flashRideMessage(I18n.t('ride.offTrack')));
+        engine.on('raceFinish', results => {
+            App.raceResults = results;
+            setTimeout(() => { if (App.engine === engine && engine.race) renderRaceResults(); }, RESULTS_DELAY);
+        });
+        engine.on('cameraChange', setCamera);
+        engine.on('drillResult', onDrillResult);
 
-        App.engine.start();
+        engine.start();
+        trackMinimap(engine);
     });
 }
 
+// Name, character and reference speeds of the corner just turned into, over the ride view.
+// Not shown while a corner is to be named, nor in a braking drill, which has the corner on its overlay.
+function showCornerCard(corner) {
+    if (!corner || (App.spot && App.spot.running) || (App.drill && App.drill.running)) return;
+    document.getElementById('ride-corner-name').textContent = `T${corner.number} ${corner.name}`;
+    document.getElementById('ride-corner-character').textContent = I18n.text(corner.character);
+    document.getElementById('ride-corner-figures').textContent =
+        I18n.t('ride.cornerFigures', { entry: corner.entrySpeed, exit: corner.exitSpeed, gear: corner.gear });
+    const card = document.getElementById('ride-corner');
+    card.hidden = false;
+    clearTimeout(App.cornerTimer);
+    App.cornerTimer = setTimeout(() => { card.hidden = true; }, CORNER_CARD_DELAY);
+}
+
+// Follows the rider of `engine` on the minimap until Ride mode is left or another
+// engine takes over, so a quick exit and re-entry never leaves two loops running.
+function trackMinimap(engine) {
+    App.minimapFrame = null;
+    if (App.mode !== 'ride' || App.engine !== engine) return;
+    const s = engine.state;
+    const p = App.circuit.pointAt(s.position / s.trackLength);
+    const rider = document.getElementById('mini-rider');
+    rider.setAttribute('cx', p.x);
+    rider.setAttribute('cy', p.y);
+
+    document.querySelectorAll('.mini-corner').forEach(d => d.classList.remove('active'));
+    if (s.currentCorner) document.getElementById(`mini-corner-${s.currentCorner}`)?.classList.add('active');
+
+    // One dot per rival, kept under the player's dot
+    const mini = document.getElementById('ride-minimap');
+    const dots = mini.querySelectorAll('.mini-rival');
+    engine.rivals.forEach((r, i) => {
+        let dot = dots[i];
+        if (!dot) {
+            dot = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            dot.setAttribute('r', 2.5);
+            dot.setAttribute('class', 'mini-rival');
+            mini.insertBefore(dot, rider);
+        }
+        const rp = App.circuit.pointAt(r.position / s.trackLength);
+        dot.setAttribute('cx', rp.x);
+        dot.setAttribute('cy', rp.y);
+        dot.setAttribute('fill', r.color);
+    });
+    [...dots].slice(engine.rivals.length).forEach(d => d.remove());
+
+    App.minimapFrame = requestAnimationFrame(() => trackMinimap(engine));
+}
+
+function toggleRivals() {
+    App.rivalsOn = !App.rivalsOn;
+    try { localStorage.setItem(RIVALS_KEY, App.rivalsOn ? 'on' : 'off'); } catch (e) { /* not persisted */ }
+    if (App.engine && !(App.spot && App.spot.running) && !(App.drill && App.drill.running)) App.engine.setRivals(App.rivalsOn);
+    markRivalsButton();
+}
+
+function markRivalsButton() {
+    document.getElementById('btn-rivals').classList.toggle('on', App.rivalsOn);
+}
+
+function cycleCamera() {
+    const cameras = RideEngine.CAMERAS;
+    setCamera(cameras[(cameras.indexOf(App.camera) + 1) % cameras.length]);
+}
+
+// Remembered across sessions; the C key cycles it from inside the engine.
+function setCamera(camera) {
+    App.camera = camera;
+    try { localStorage.setItem(CAMERA_KEY, camera); } catch (e) { /* not persisted */ }
+    if (App.engine) App.engine.setCamera(camera);
+    renderCameraButton();
+}
+
+function renderCameraButton() {
+    document.getElementById('btn-camera').textContent = I18n.t('ride.camera', { camera: I18n.t(`camera.${App.camera}`) });
+}
+
+function buildConditionOptions() {
+    const select = document.getElementById('ride-conditions');
+    select.innerHTML = '';
+    RideEngine.CONDITIONS.forEach(c => select.add(new Option(I18n.t(`conditions.${c}`), c)));
+    select.value = App.conditions;
+}
+
+// Weather and time of day, remembered across sessions; the wet track has less grip.
+function onConditionsPicked(e) {
+    App.conditions = e.target.value;
+    try { localStorage.setItem(CONDITIONS_KEY, App.conditions); } catch (err) { /* not persisted */ }
+    if (App.engine) App.engine.setConditions(App.conditions);
+    e.target.blur();
+}
+
+// Automatic gears, or the shift keys and paddles; remembered across sessions.
+function toggleGearbox(e) {
+    const gearboxes = RideEngine.GEARBOXES;
+    App.gearbox = gearboxes[(gearboxes.indexOf(App.gearbox) + 1) % gearboxes.length];
+    try { localStorage.setItem(GEARBOX_KEY, App.gearbox); } catch (err) { /* not persisted */ }
+    if (App.engine) App.engine.setGearbox(App.gearbox);
+    renderGearboxButton();
+    e.target.blur();
+}
+
+function renderGearboxButton() {
+    document.getElementById('btn-gearbox').textContent = I18n.t('ride.gearbox', { gearbox: I18n.t(`gearbox.${App.gearbox}`) });
+}
+
+function toggleSound(e) {
+    App.soundOn = !App.soundOn;
+    try { localStorage.setItem(SOUND_KEY, App.soundOn ? 'on' : 'off'); } catch (err) { /* not persisted */ }
+    if (App.engine) App.engine.setSound(App.soundOn);
+    markSoundButton();
+    e.target.blur();
+}
+
+function markSoundButton() {
+    const btn = document.getElementById('btn-sound');
+    btn.classList.toggle('on', App.soundOn);
+    btn.disabled = !RideSound.supported();
+}
+
+// Last seconds from the trackside cameras; pressing again goes back to riding.
+function toggleReplay() {
+    if (!App.engine) return;
+    if (App.engine.replay) App.engine.endReplay();
+    else if (!App.engine.startReplay()) flashRideMessage(I18n.t('ride.noReplay'));
+}
+
+// ─── RACE ────────────────────────────────────────────────────────────────────
+function buildRaceLapOptions() {
+    const select = document.getElementById('race-laps');
+    select.innerHTML = '';
+    RACE_LAP_OPTIONS.forEach(laps => select.add(new Option(I18n.t('race.laps', { laps }), laps)));
+    select.value = App.raceLaps;
+}
+
+function onRaceLapsPicked(e) {
+    App.raceLaps = Number(e.target.value);
+    e.target.blur();
+}
+
+// Grid start from the line; a race already running is restarted.
+function startRace() {
+    if (!App.engine) return;
+    closeSpotting();
+    closeDrill();
+    document.getElementById('race-panel').hidden = true;
+    App.raceResults = null;
+    App.engine.startRace(App.raceLaps);
+}
+
+function endRace() {
+    document.getElementById('race-panel').hidden = true;
+    if (App.engine) App.engine.endRace();
+}
+
+// Every lap of the race with its sectors; the best lap is highlighted.
+function renderRaceResults() {
+    const results = App.raceResults;
+    if (!results) return;
+    const fmt = RideEngine.formatLapTime;
+    document.getElementById('race-panel').hidden = false;
+
+    const summary = [I18n.t('race.total', { laps: results.laps.length, time: fmt(results.totalTime) })];
+    if (results.riders > 1) summary.unshift(I18n.t('race.position', { position: results.position, riders: results.riders }));
+    document.getElementById('race-summary').textContent = summary.join(' · ');
+
+    const table = document.getElementById('race-table');
+    table.innerHTML = '';
+    const head = table.insertRow();
+    [I18n.t('race.lap'), I18n.t('race.time'), 'S1', 'S2', 'S3'].forEach(label => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        head.appendChild(th);
+    });
+    results.laps.forEach((lap, i) => {
+        const tr = table.insertRow();
+        [i + 1, fmt(lap.time), ...lap.sectors.map(s => s.toFixed(3))].forEach(text => { tr.insertCell().textContent = text; });
+        if (i === results.bestLap) tr.className = 'best';
+        else if (!lap.valid) tr.className = 'invalid';
+    });
+    document.getElementById('race-best').textContent = I18n.t('race.best', {
+        time: fmt(results.laps[results.bestLap].time),
+        lap: results.bestLap + 1,
+    });
+}
+
+function flashRideMessage(text) {
+    const el = document.getElementById('lap-flash');
+    if (!el) return;
+    el.textContent = text;
+    el.style.opacity = 1;
+    setTimeout(() => el.style.opacity = 0, 1800);
+}
+
+function exportGhost() {
+    const ghost = App.engine && App.engine.exportGhost();
+    if (!ghost) { flashRideMessage(I18n.t('ride.noGhost')); return; }
+    downloadJSON(`buriram-ghost-${ghost.lapTime.toFixed(3).replace('.', '-')}.json`, JSON.stringify(ghost));
+}
+
+function downloadJSON(filename, json) {
+    const blob = new Blob([json], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
+
+async function importGhost(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file || !App.engine) return;
+    try {
+        App.engine.importGhost(JSON.parse(await file.text()));
+        flashRideMessage(I18n.t('ride.ghostLoaded'));
+    } catch (err) {
+        console.warn('Ghost import failed:', err);
+        flashRideMessage(I18n.t('ride.ghostInvalid'));
+    }
+}
+
+// ─── NAME THAT CORNER ────────────────────────────────────────────────────────
+// The quiz from the 3D view: quiz.js picks the corners (weighted by past mistakes,
+// like the map quiz), the engine drops the demo rider on the approach with the
+// corner overlay hidden, and a right answer scores more the further before the
+// apex it is given. The minimap is hidden while a corner is to be named.
+function startSpotting() {
+    if (!App.engine) return;
+    closeSpotting();
+    closeDrill();
+    endRace();
+    App.spot = {
+        session: Quiz.createSession(App.corners, App.circuitId, { rounds: SPOT_ROUNDS, kinds: ['spot'] }),
+        results: [],            // [{ corner, answer, metres, points }]
+        distance: 0,            // metres from the spawn point to the apex
+        demoWas: App.engine.state.demo,
+        running: true,
+        offApex: App.engine.on('apexReached', () => answerSpot(null)),
+    };
+    App.engine.setRivals(false);
+    document.getElementById('ride-section').classList.add('spotting');
+    nextSpotRound();
+}
+
+function nextSpotRound() {
+    if (!App.spot || !App.engine) return;
+    const q = Quiz.nextQuestion(App.spot.session);
+    if (!q) { finishSpotting(); return; }
+    App.spot.distance = App.engine.startSpotting(q.corner.number).distance;
+    renderSpotRound();
+}
+
+// Round label and one button per corner; after an answer the buttons show the result.
+function renderSpotRound() {
+    const spot = App.spot;
+    const session = spot.session;
+    const last = !session.question && spot.results[spot.results.length - 1];
+    document.getElementById('spot-overlay').hidden = false;
+    document.getElementById('spot-round').textContent = I18n.t('spot.round', { round: session.round, total: session.rounds });
+
+    const wrap = document.getElementById('spot-answers');
+    wrap.innerHTML = '';
+    App.corners.forEach(c => {
+        const btn = document.createElement('button');
+        btn.className = 'nav-btn';
+        btn.textContent = `T${c.number}`;
+        btn.disabled = !!last;
+        if (last && c.number === last.corner.number) btn.classList.add('correct');
+        else if (last && c.number === last.answer) btn.classList.add('wrong');
+        btn.addEventListener('click', () => answerSpot(c.number));
+        wrap.appendChild(btn);
+    });
+
+    const fb = document.getElementById('spot-feedback');
+    fb.className = `quiz-feedback ${last ? (last.points ? 'correct' : 'wrong') : ''}`;
+    fb.textContent = !last ? ''
+        : I18n.t(last.points ? 'spot.correct' : last.answer === null ? 'spot.late' : 'spot.wrong', {
+            number: last.corner.number,
+            name: last.corner.name,
+            metres: last.metres,
+            points: last.points,
+        });
+}
+
+// `number` is null when the apex was reached without an answer.
+function answerSpot(number) {
+    const spot = App.spot;
+    if (!spot || !spot.session.question || !App.engine) return;
+    const metres = number === null ? 0 : App.engine.spottingDistance();
+    const { correct, question } = Quiz.answerQuestion(spot.session, number);
+    App.engine.endSpotting();
+    spot.results.push({
+        corner: question.corner,
+        answer: number,
+        metres: Math.round(metres),
+        points: correct ? Math.max(Math.round(SPOT_MAX_POINTS * metres / spot.distance), 1) : 0,
+    });
+    renderSpotRound();
+    App.spotTimer = setTimeout(nextSpotRound, SPOT_NEXT_DELAY);
+}
+
+// Hands the bike back (rivals and demo as they were) and leaves the results up.
+function stopSpotting() {
+    const spot = App.spot;
+    clearTimeout(App.spotTimer);
+    document.getElementById('spot-overlay').hidden = true;
+    document.getElementById('ride-section').classList.remove('spotting');
+    if (!spot || !spot.running) return;
+    spot.running = false;
+    spot.offApex();
+    if (!App.engine) return;
+    App.engine.endSpotting();
+    App.engine.state.demo = spot.demoWas;
+    App.engine.setRivals(App.rivalsOn);
+}
+
+function finishSpotting() {
+    stopSpotting();
+    renderSpotResults();
+}
+
+function closeSpotting() {
+    stopSpotting();
+    App.spot = null;
+    document.getElementById('spot-panel').hidden = true;
+}
+
+function renderSpotResults() {
+    const spot = App.spot;
+    if (!spot) return;
+    document.getElementById('spot-panel').hidden = false;
+    const points = spot.results.reduce((sum, r) => sum + r.points, 0);
+    document.getElementById('spot-summary').textContent =
+        I18n.t('spot.total', { points, max: spot.results.length * SPOT_MAX_POINTS });
+
+    const table = document.getElementById('spot-table');
+    table.innerHTML = '';
+    const head = table.insertRow();
+    [I18n.t('spot.corner'), I18n.t('spot.answer'), I18n.t('spot.metres'), I18n.t('spot.points')].forEach(label => {
+        const th = document.createElement('th');
+        th.textContent = label;
+        head.appendChild(th);
+    });
+    spot.results.forEach(r => {
+        const tr = table.insertRow();
+        [`T${r.corner.number} ${r.corner.name}`, r.answer === null ? '—' : `T${r.answer}`, r.points ? `${r.metres} m` : '—', r.points]
+            .forEach(text => { tr.insertCell().textContent = text; });
+        if (!r.points) tr.className = 'invalid';
+    });
+}
+
+// ─── BRAKING DRILL ───────────────────────────────────────────────────────────
+// One hard braking corner over and over, on an empty track: the engine drops the
+// bike on the approach, scores each run against the corner data and keeps the
+// results per corner. The panel compares every drillable corner.
+function drillCorners() {
+    return App.corners.filter(c => c.brakingDifficulty >= RideEngine.DRILL_BRAKING);
+}
+
+function buildDrillOptions() {
+    const select = document.getElementById('drill-corner');
+    const corners = drillCorners();
+    select.innerHTML = '';
+    corners.forEach(c => select.add(new Option(`T${c.number} ${c.name}`, c.number)));
+    if (!corners.some(c => c.number === App.drillCorner)) App.drillCorner = corners.length ? corners[0].number : null;
+    select.value = App.drillCorner;
+    document.getElementById('btn-drill').disabled = !corners.length;
+}
+
+// A new corner picked during a drill restarts it there.
+function onDrillCornerPicked(e) {
+    App.drillCorner = Number(e.target.value);
+    e.target.blur();
+    if (App.drill && App.drill.running) startDrill();
+}
+
+function toggleDrill() {
+    if (App.drill && App.drill.running) finishDrill();
+    else startDrill();
+}
+
+function startDrill() {
+    if (!App.engine || App.drillCorner === null) return;
+    closeSpotting();
+    closeDrill();
+    endRace();
+    App.drill = {
+        corner: App.drillCorner,
+        results: [],            // this session's runs, as drillResult gives them
+        demoWas: App.engine.state.demo,
+        running: true,
+    };
+    App.engine.setRivals(false);
+    App.engine.startDrill(App.drillCorner);
+    markDrillButton();
+}
+
+function onDrillResult(result) {
+    if (!App.drill || !App.drill.running) return;
+    App.drill.results.push(result);
+    flashRideMessage(I18n.t(result.crashed ? 'drill.crashed' : 'drill.result', {
+        points: result.points,
+        braking: result.brakingM ?? '—',
+        exit: result.exitKmh,
+    }));
+}
+
+// Hands the bike back (rivals and demo as they were) where it is.
+function stopDrill() {
+    const drill = App.drill;
+    if (!drill || !drill.running) return;
+    drill.running = false;
+    markDrillButton();
+    if (!App.engine) return;
+    App.engine.endDrill();
+    App.engine.state.demo = drill.demoWas;
+    App.engine.setRivals(App.rivalsOn);
+}
+
+function finishDrill() {
+    stopDrill();
+    renderDrillResults();
+}
+
+function closeDrill() {
+    stopDrill();
+    App.drill = null;
+    document.getElementById('drill-panel').hidden = true;
+}
+
+function markDrillButton() {
+    document.getElementById('btn-drill').classList.toggle('on', Boolean(App.drill && App.drill.running));
+}
+
+// Saved results of every drillable corner; the one just drilled is highlighted.
+function renderDrillResults() {
+    const drill = App.drill;
+    if (!drill || !App.engine) return;
+    const records = App.engine.drillRecords;
+    document.getElementById('drill-panel').hidden = false;
+    const session = drill.results.filter(r => r.saved).map(r => r.points);
+    document.getElementById('drill-summary').textContent = session.length
+        ? I18n.t('drill.session', { runs: session.length, best: Math.max(...session) })
+        : I18n.t('drill.noRuns');
+
+    const table = document.getElementById('drill-table');
+    table.innerHTML = '';
+    const head = table.insertRow();
+    ['drill.corner', 'drill.runs', 'drill.best', 'drill.average', 'drill.last'].forEach(key => {
+        const th = document.createElement('th');
+        th.textContent = I18n.t(key);
+        head.appendChild(th);
+    });
+    drillCorners().forEach(c => {
+        const rec = records[c.number];
+        const tr = table.insertRow();
+        const cells = !rec ? [0, '—', '—', '—'] : [
+            rec.runs,
+            I18n.t('drill.bestRun', { points: rec.best.points, braking: rec.best.brakingM ?? '—', exit: rec.best.exitKmh }),
+            Math.round(rec.recent.reduce((sum, p) => sum + p, 0) / rec.recent.length),
+            rec.recent[rec.recent.length - 1],
+        ];
+        [`T${c.number} ${c.name}`, ...cells].forEach(text => { tr.insertCell().textContent = text; });
+        if (c.number === drill.corner) tr.className = 'best';
+    });
+}
+
+// ─── TELEMETRY ───────────────────────────────────────────────────────────────
+function toggleTelemetryPanel() {
+    const panel = document.getElementById('telemetry-panel');
+    panel.hidden = !panel.hidden;
+    if (!panel.hidden) renderTelemetry();
+}
+
+// Speed / pedal chart of the last lap plus a per-corner comparison with the reference data.
+function renderTelemetry() {
+    const samples = App.lastTelemetry;
+    const canvas = document.getElementById('telemetry-canvas');
+    const table = document.getElementById('telemetry-table');
+    const empty = !samples || !samples.length;
+    document.getElementById('telemetry-empty').hidden = !empty;
+    canvas.hidden = empty;
+    table.innerHTML = '';
+    if (empty) return;
+
+    const rows = Telemetry.draw(canvas, samples, App.corners, App.circuit);
+
+    const head = table.insertRow();
+    ['telemetry.corner', 'telemetry.brakePoint', 'telemetry.entry', 'telemetry.min', 'telemetry.exit'].forEach(key => {
+        const th = document.createElement('th');
+        th.textContent = I18n.t(key);
+        head.appendChild(th);
+    });
+
+    const vsRef = (kmh, ref) => `${kmh ?? '—'} / ${ref}`;
+    rows.forEach(r => {
+        const tr = table.insertRow();
+        const brake = r.brakeEarlyM == null ? I18n.t('telemetry.noBrake')
+            : r.brakeEarlyM > 0 ? I18n.t('telemetry.early', { m: r.brakeEarlyM })
+                : r.brakeEarlyM < 0 ? I18n.t('telemetry.late', { m: -r.brakeEarlyM })
+                    : I18n.t('telemetry.onPoint');
+        [`T${r.number} ${r.name}`, brake, vsRef(r.entryKmh, r.refEntryKmh), r.minKmh ?? '—', vsRef(r.exitKmh, r.refExitKmh)]
+            .forEach(text => { tr.insertCell().textContent = text; });
+        if (r.brakeEarlyM) tr.cells[1].className = r.brakeEarlyM > 0 ? 'early' : 'late';
+    });
+}
+
+// ─── CONTROLS ────────────────────────────────────────────────────────────────
+const KEY_LABELS = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', ' ': 'Space' };
+
+function keyLabel(key) {
+    return KEY_LABELS[key] || (key.length === 1 ? key.toUpperCase() : key);
+}
+
+function toggleControlsPanel() {
+    const panel = document.getElementById('controls-panel');
+    panel.hidden = !panel.hidden;
+    App.bindingAction = null;
+    if (!panel.hidden) renderControls(RideInput.bindings());
+}
+
+function renderControls(bindings) {
+    const list = document.getElementById('controls-list');
+    list.innerHTML = '';
+    RideInput.ACTIONS.forEach(action => {
+        const row = document.createElement('div');
+        row.className = 'controls-row';
+        row.innerHTML = '<span></span><button class="nav-btn"></button>';
+        row.firstChild.textContent = I18n.t(`controls.${action}`);
+
+        const btn = row.lastChild;
+        const listening = App.bindingAction === action;
+        btn.textContent = listening ? I18n.t('controls.press') : keyLabel(bindings[action]);
+        btn.classList.toggle('listening', listening);
+        btn.addEventListener('click', () => {
+            App.bindingAction = action;
+            renderControls(bindings);
+            btn.blur();
+        });
+        list.appendChild(row);
+    });
+}
+
+// Grabs the next key press while a binding button is listening; Escape cancels.
+function captureBinding(e) {
+    if (!App.bindingAction) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const action = App.bindingAction;
+    App.bindingAction = null;
+    if (e.key === 'Escape') { renderControls(RideInput.bindings()); return; }
+    try {
+        applyBindings(RideInput.bind(action, e.key));
+    } catch (err) {
+        console.warn('Key binding rejected:', err);
+        renderControls(RideInput.bindings());
+    }
+}
+
+function applyBindings(bindings) {
+    if (App.engine && App.engine.input) App.engine.input.reloadBindings();
+    renderControls(bindings);
+}
+
 function resizeCanvas() {
     const canvas = document.getElementById('ride-canvas');
     if (!canvas) return;
@@ -127,32 +1133,47 @@ function resizeCanvas() {
 }
 
 // ─── SVG MAP ─────────────────────────────────────────────────────────────────
-function buildMapMarkers() {
+function buildTrackPath() {
+    const d = App.circuit.svgPath();
+    document.getElementById('track-outline').setAttribute('d', d);
+    document.getElementById('track-surface').setAttribute('d', d);
+
+    const sf = App.circuit.startLine();
+    const line = document.getElementById('sf-line');
+    ['x1', 'y1', 'x2', 'y2'].forEach(k => line.setAttribute(k, sf[k].toFixed(2)));
+    document.getElementById('sf-arrow').setAttribute('d', sf.arrow);
+}
+
+// The editor passes its draft model so dragged corners show where they will be.
+function buildMapMarkers(model = App.circuit) {
     const svg = document.getElementById('track-svg');
     if (!svg) return;
+    svg.querySelectorAll('.corner-marker').forEach(g => g.remove());
     App.corners.forEach(c => {
+        const { x: mapX, y: mapY } = model.cornerMarker(c.number);
+
         const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
         g.setAttribute('id', `corner-g-${c.number}`);
         g.setAttribute('class', 'corner-marker');
         g.style.cursor = 'pointer';
 
         const ring = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        ring.setAttribute('cx', c.mapX);
-        ring.setAttribute('cy', c.mapY);
+        ring.setAttribute('cx', mapX);
+        ring.setAttribute('cy', mapY);
         ring.setAttribute('r', 5);
         ring.setAttribute('class', 'corner-ring');
         ring.setAttribute('id', `ring-${c.number}`);
 
         const dot = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        dot.setAttribute('cx', c.mapX);
-        dot.setAttribute('cy', c.mapY);
+        dot.setAttribute('cx', mapX);
+        dot.setAttribute('cy', mapY);
         dot.setAttribute('r', 3);
         dot.setAttribute('class', 'corner-dot');
         dot.setAttribute('id', `dot-${c.number}`);
 
         const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-        text.setAttribute('x', c.mapX + 7);
-        text.setAttribute('y', c.mapY + 4);
+        text.setAttribute('x', mapX + 7);
+        text.setAttribute('y', mapY + 4);
         text.setAttribute('class', 'corner-label');
         text.textContent = c.number;
 
@@ -160,8 +1181,13 @@ function buildMapMarkers() {
         g.appendChild(dot);
         g.appendChild(text);
         g.addEventListener('click', () => {
-            if (App.mode === 'quiz') handleQuizAnswer(c.number);
-            else selectCorner(c);
+            if (App.mode === 'quiz') onQuizMapClick(c.number);
+            else if (App.mode === 'editor') editCorner(c.number);
+            else if (App.mode === 'walkthrough') seekWalkCorner(c.number);
+            else selectCorner(App.corners.find(corner => corner.number === c.number));
+        });
+        g.addEventListener('pointerdown', e => {
+            if (App.mode === 'editor') startMarkerDrag(e, c.number);
         });
         g.addEventListener('mouseenter', () => hoverCorner(c.number, true));
         g.addEventListener('mouseleave', () => hoverCorner(c.number, false));
@@ -169,6 +1195,33 @@ function buildMapMarkers() {
     });
 }
 
+function buildMinimap() {
+    const mini = document.getElementById('ride-minimap');
+    if (!mini) return;
+    mini.innerHTML = '';
+    ['track-outline', 'track-surface'].forEach(id => {
+        const path = document.getElementById(id).cloneNode();
+        path.removeAttribute('id');
+        mini.appendChild(path);
+    });
+
+    App.corners.forEach(c => {
+        const { x, y } = App.circuit.cornerMarker(c.number);
+        const dot = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        dot.setAttribute('cx', x);
+        dot.setAttribute('cy', y);
+        dot.setAttribute('r', 2.5);
+        dot.setAttribute('class', 'mini-corner');
+        dot.setAttribute('id', `mini-corner-${c.number}`);
+        mini.appendChild(dot);
+    });
+
+    const rider = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    rider.setAttribute('r', 3.5);
+    rider.setAttribute('id', 'mini-rider');
+    mini.appendChild(rider);
+}
+
 function clearMapHighlights() {
     document.querySelectorAll('.corner-dot').forEach(d => d.classList.remove('active'));
     document.querySelectorAll('.corner-ring').forEach(r => r.classList.remove('active'));
@@ -207,7 +1260,7 @@ function renderPanel(corner) {
     el('panel-name').textContent = corner.name;
 
     const dirEl = el('panel-direction');
-    dirEl.textContent = corner.direction === 'right' ? '↪ RIGHT' : '↩ LEFT';
+    dirEl.textContent = I18n.t(corner.direction === 'right' ? 'panel.right' : 'panel.left');
     dirEl.className = `dir-badge ${corner.direction}`;
 
     el('panel-entry').textContent = `${corner.entrySpeed} km/h`;
@@ -219,9 +1272,9 @@ function renderPanel(corner) {
     el('brake-fill').style.background = bv >= 9 ? '#e8003d' : bv >= 7 ? '#f5a623' : '#00d4aa';
     el('brake-value').textContent = `${bv}/10`;
 
-    el('panel-character').textContent = corner.character;
-    el('panel-tip').textContent = corner.tip;
-    el('panel-landmark').textContent = corner.landmark;
+    el('panel-character').textContent = I18n.text(corner.character);
+    el('panel-tip').textContent = I18n.text(corner.tip);
+    el('panel-landmark').textContent = I18n.text(corner.landmark);
 
     renderCockpit(corner);
     el('corner-panel').classList.add('visible');
@@ -302,60 +1355,383 @@ function renderCockpit(corner) {
 }
 
 // ─── WALKTHROUGH MODE ─────────────────────────────────────────────────────────
+// A player over one lap. Each corner is a step as long as WALK_MIN_STEP plus the
+// time the corner takes at racing speed; during it the map dot travels on to the
+// next corner. The bar under the map seeks, and narration (speechSynthesis) reads
+// the corner's tip, holding the step until it has been read out.
+function buildWalkControls() {
+    const select = document.getElementById('walk-speed');
+    WALK_SPEEDS.forEach(v => select.add(new Option(`${v}×`, v)));
+    select.value = App.walkSpeed;
+    document.getElementById('btn-walk-narrate').hidden = !('speechSynthesis' in window);
+}
+
+// Braking zone at the mean of entry and exit speed, then the corner itself at the slower of the two.
+function cornerRaceSeconds(corner) {
+    const range = App.circuit.cornerRange(corner.number);
+    const ms = kmh => kmh / 3.6;
+    return corner.brakingDistance / ms((corner.entrySpeed + corner.exitSpeed) / 2)
+        + (range.end - range.start) / ms(Math.min(corner.entrySpeed, corner.exitSpeed));
+}
+
 function startWalkthrough() {
-    App.walkStep = 0;
-    selectCorner(App.corners[0]);
-    updateWalkProgress(0, App.corners.length);
-    App.walkTimer = setInterval(() => {
-        App.walkStep = (App.walkStep + 1) % App.corners.length;
-        selectCorner(App.corners[App.walkStep]);
-        updateWalkProgress(App.walkStep, App.corners.length);
-    }, 4000);
+    const lap = App.circuit.lengthM;
+    const marks = App.corners.map(c => {
+        const r = App.circuit.cornerRange(c.number);
+        return (r.start + r.end) / 2;
+    });
+    let start = 0;
+    const steps = App.corners.map((corner, i) => {
+        const from = marks[i];
+        let to = marks[(i + 1) % marks.length];
+        if (to <= from) to += lap;
+        const step = { corner, from, to, start, duration: WALK_MIN_STEP + WALK_PACE * cornerRaceSeconds(corner) };
+        start += step.duration;
+        return step;
+    });
+    App.walk = { steps, total: start, time: 0, step: -1, playing: true, unspoken: false, frame: null, last: null };
+
+    const bar = document.getElementById('walk-bar');
+    bar.querySelectorAll('.walk-tick').forEach(t => t.remove());
+    steps.slice(1).forEach(step => {
+        const tick = document.createElement('span');
+        tick.className = 'walk-tick';
+        tick.style.left = `${(step.start / App.walk.total) * 100}%`;
+        bar.appendChild(tick);
+    });
+    const dot = document.getElementById('walk-dot');
+    dot.parentNode.appendChild(dot);    // above the corner markers
+    dot.classList.add('visible');
+
+    showWalkTime(0);
+    renderWalkControls();
+    App.walk.frame = requestAnimationFrame(walkFrame);
+}
+
+function stopWalkthrough() {
+    if (!App.walk) return;
+    cancelAnimationFrame(App.walk.frame);
+    endWalkSeek();
+    if ('speechSynthesis' in window) speechSynthesis.cancel();
+    document.getElementById('walk-dot').classList.remove('visible');
+    App.walk = null;
+}
+
+function walkFrame(now) {
+    const walk = App.walk;
+    if (!walk) return;
+    const dt = walk.last === null ? 0 : Math.min((now - walk.last) / 1000, 0.25);
+    walk.last = now;
+
+    if (walk.playing) {
+        let time = walk.time + dt * App.walkSpeed;
+        const step = walk.steps[walk.step];
+        const end = step.start + step.duration;
+        // Hold just short of the next step while the tip is still being read
+        if (time >= end && App.walkNarrate && speechSynthesis.speaking) time = Math.min(time, end - 0.001);
+        if (time >= walk.total) {
+            time = walk.total;
+            walk.playing = false;
+            renderWalkControls();
+        }
+        showWalkTime(time);
+    }
+    walk.frame = requestAnimationFrame(walkFrame);
+}
+
+// Puts the player at `time` seconds: corner panel, map dot, bar and clock.
+function showWalkTime(time) {
+    const walk = App.walk;
+    walk.time = Math.max(0, Math.min(time, walk.total));
+    let index = walk.steps.findIndex(s => walk.time < s.start + s.duration);
+    if (index < 0) index = walk.steps.length - 1;
+    const step = walk.steps[index];
+    if (index !== walk.step) {
+        walk.step = index;
+        selectCorner(step.corner);
+        narrateCorner(step.corner);
+    }
+
+    // Smoothstep, so the dot lingers at each corner before moving on
+    const f = Math.min((walk.time - step.start) / step.duration, 1);
+    const p = App.circuit.at(step.from + (step.to - step.from) * f * f * (3 - 2 * f));
+    const dot = document.getElementById('walk-dot');
+    dot.setAttribute('cx', p.x.toFixed(2));
+    dot.setAttribute('cy', p.y.toFixed(2));
+
+    document.getElementById('walk-progress').style.width = `${(walk.time / walk.total) * 100}%`;
+    const clock = t => `${Math.floor(t / 60)}:${String(Math.floor(t % 60)).padStart(2, '0')}`;
+    document.getElementById('walk-time').textContent = `${clock(walk.time)} / ${clock(walk.total)}`;
+}
+
+function renderWalkControls() {
+    const walk = App.walk;
+    document.getElementById('btn-walk-play').textContent = I18n.t(walk && walk.playing ? 'walk.pause' : 'walk.play');
+    document.getElementById('btn-walk-narrate').classList.toggle('on', App.walkNarrate);
+}
+
+// Reads the corner's tip when playing; a corner reached while paused is read on resume.
+function narrateCorner(corner) {
+    if (!('speechSynthesis' in window)) return;
+    speechSynthesis.cancel();
+    App.walk.unspoken = !App.walk.playing;
+    if (!App.walkNarrate || !App.walk.playing) return;
+    const utterance = new SpeechSynthesisUtterance(`T${corner.number}, ${corner.name}. ${I18n.text(corner.tip)}`);
+    utterance.lang = I18n.locale;
+    speechSynthesis.speak(utterance);
+}
+
+// From the end of the lap, play starts again from the first corner.
+function toggleWalkPlay() {
+    const walk = App.walk;
+    if (!walk) return;
+    walk.playing = !walk.playing;
+    if (walk.playing && walk.time >= walk.total) {
+        walk.step = -1;
+        showWalkTime(0);
+    } else if ('speechSynthesis' in window) {
+        if (!walk.playing) speechSynthesis.pause();
+        else if (walk.unspoken) narrateCorner(walk.steps[walk.step].corner);
+        else speechSynthesis.resume();
+    }
+    walk.last = null;
+    renderWalkControls();
+}
+
+function toggleWalkNarration() {
+    App.walkNarrate = !App.walkNarrate;
+    renderWalkControls();
+    if (App.walk) narrateCorner(App.walk.steps[App.walk.step].corner);
+}
+
+function stepWalk(dir) {
+    const walk = App.walk;
+    if (!walk) return;
+    const index = Math.max(0, Math.min(walk.step + dir, walk.steps.length - 1));
+    seekWalk(walk.steps[index].start);
+}
+
+function seekWalkCorner(number) {
+    const step = App.walk && App.walk.steps.find(s => s.corner.number === number);
+    if (step) seekWalk(step.start);
+}
+
+// A seek always re-reads the corner it lands on.
+function seekWalk(time) {
+    App.walk.step = -1;
+    showWalkTime(time);
+}
+
+function startWalkSeek(e) {
+    if (!App.walk) return;
+    e.preventDefault();
+    dragWalkSeek(e);
+    window.addEventListener('pointermove', dragWalkSeek);
+    window.addEventListener('pointerup', endWalkSeek, { once: true });
+}
+
+function dragWalkSeek(e) {
+    const walk = App.walk;
+    if (!walk) return;
+    const rect = document.getElementById('walk-bar').getBoundingClientRect();
+    const fraction = Math.max(0, Math.min((e.clientX - rect.left) / rect.width, 1));
+    showWalkTime(fraction * walk.total);
 }
 
-function updateWalkProgress(step, total) {
-    const el = document.getElementById('walk-progress');
-    if (el) el.style.width = `${((step + 1) / total) * 100}%`;
+function endWalkSeek() {
+    window.removeEventListener('pointermove', dragWalkSeek);
 }
 
 // ─── QUIZ MODE ────────────────────────────────────────────────────────────────
+// Questions come from quiz.js; this section renders them and passes answers back.
+// Map-answered kinds (map, next) take a click on a corner marker, the rest answer
+// through buttons or the estimate field in #quiz-answers.
+const QUIZ_MAP_KINDS = ['map', 'next'];
+
+function buildQuizSetup() {
+    const select = document.getElementById('quiz-rounds');
+    select.innerHTML = '';
+    QUIZ_ROUND_OPTIONS.forEach(n => select.add(new Option(n, n)));
+    select.value = App.quizRounds;
+
+    const kinds = document.getElementById('quiz-kinds');
+    kinds.innerHTML = '';
+    Quiz.KINDS.forEach(kind => {
+        const label = document.createElement('label');
+        label.className = 'quiz-kind';
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = App.quizKinds.includes(kind);
+        box.addEventListener('change', () => {
+            App.quizKinds = Quiz.KINDS.filter(k => k === kind ? box.checked : App.quizKinds.includes(k));
+            document.getElementById('btn-quiz-start').disabled = !App.quizKinds.length;
+        });
+        label.appendChild(box);
+        label.append(I18n.t(`quiz.kind.${kind}`));
+        kinds.appendChild(label);
+    });
+}
+
+// Entering the mode shows the session setup; the questions start from there.
 function startQuiz() {
-    App.quizRound = 0;
-    App.quizScore = 0;
+    App.quiz = null;
+    showQuizSetup();
+}
+
+function showQuizSetup() {
+    clearMapHighlights();
+    const mistakes = Object.values(Quiz.loadMistakes(App.circuitId)).reduce((sum, n) => sum + n, 0);
+    document.getElementById('quiz-mistakes').textContent = mistakes ? I18n.t('quiz.mistakes', { count: mistakes }) : '';
+    document.getElementById('btn-quiz-forget').hidden = !mistakes;
+    document.getElementById('btn-quiz-start').disabled = !App.quizKinds.length;
+
+    document.getElementById('quiz-setup').hidden = false;
+    document.getElementById('quiz-question').hidden = true;
+    document.getElementById('quiz-answers').innerHTML = '';
+    document.getElementById('quiz-instruction').hidden = false;
+    document.getElementById('quiz-instruction').textContent = I18n.t('quiz.instruction.setup');
+    document.getElementById('quiz-feedback').className = 'quiz-feedback';
+    document.getElementById('quiz-feedback').textContent = '';
+    document.getElementById('quiz-score-display').textContent = '';
+}
+
+function forgetQuizMistakes() {
+    Quiz.clearMistakes(App.circuitId);
+    showQuizSetup();
+}
+
+function startQuizSession() {
+    if (!App.quizKinds.length) return;
+    clearTimeout(App.quizTimer);
+    App.quiz = Quiz.createSession(App.corners, App.circuitId, { rounds: App.quizRounds, kinds: App.quizKinds });
+    document.getElementById('quiz-setup').hidden = true;
+    document.getElementById('quiz-question').hidden = false;
     nextQuizQuestion();
 }
 
 function nextQuizQuestion() {
-    if (App.quizRound >= App.quizMaxRounds) { showQuizResult(); return; }
-    App.quizRound++;
     clearMapHighlights();
+    document.querySelectorAll('.quiz-correct, .quiz-wrong').forEach(el =>
+        el.classList.remove('quiz-correct', 'quiz-wrong')
+    );
     document.getElementById('quiz-feedback').className = 'quiz-feedback';
     document.getElementById('quiz-feedback').textContent = '';
 
-    const correct = App.corners[Math.floor(Math.random() * App.corners.length)];
-    App.quizCorrect = correct;
+    App.quizOrder = [];
+    if (!Quiz.nextQuestion(App.quiz)) { showQuizResult(); return; }
+    renderQuizQuestion();
+    renderQuizScore();
+}
+
+function renderQuizScore() {
+    const session = App.quiz;
+    document.getElementById('quiz-score-display').textContent = session
+        ? I18n.t('quiz.score', { score: session.score, total: session.history.length })
+        : '';
+}
+
+// A quiz string, whose markup is kept, with its {placeholders} filled in as plain text:
+// corner names and characters may come from an imported circuit package.
+function quizText(key, params) {
+    const escape = value => String(value).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+    return I18n.t(key, Object.fromEntries(Object.entries(params).map(([name, value]) => [name, escape(value)])));
+}
+
+// Split from nextQuizQuestion so a language switch can re-render the open question.
+function renderQuizQuestion() {
+    const q = App.quiz.question;
+    const c = q.corner;
+    let text;
+    if (q.kind === 'map') {
+        text = quizText(`quiz.q.${q.clue}`, {
+            name: c.name,
+            speed: c.exitSpeed,
+            braking: c.brakingDifficulty,
+            gear: c.gear,
+            character: I18n.text(c.character).split('—')[0].trim(),
+        });
+    } else if (q.kind === 'choice') {
+        text = quizText(`quiz.q.choice.${q.facet}`, { number: c.number, name: c.name });
+    } else if (q.kind === 'next') {
+        text = quizText('quiz.q.next', { number: q.after.number, name: q.after.name });
+    } else {
+        text = quizText(`quiz.q.${q.kind}`, { number: c.number, name: c.name });
+    }
 
-    const clueTypes = ['name', 'speed', 'braking', 'direction', 'character'];
-    const clue = clueTypes[Math.floor(Math.random() * clueTypes.length)];
+    const question = document.getElementById('quiz-question');
+    question.innerHTML = '<div class="quiz-round"></div><p></p>';
+    question.querySelector('.quiz-round').textContent = I18n.t('quiz.round', { round: App.quiz.round, total: App.quiz.rounds });
+    question.querySelector('p').innerHTML = text;
+    document.getElementById('quiz-instruction').hidden = false;
+    document.getElementById('quiz-instruction').textContent = I18n.t(
+        QUIZ_MAP_KINDS.includes(q.kind) ? 'quiz.instruction'
+            : q.kind === 'order' ? 'quiz.instruction.order'
+            : q.kind === 'estimate' ? 'quiz.instruction.estimate'
+            : 'quiz.instruction.pick'
+    );
+    renderQuizAnswers(q);
+}
+
+function renderQuizAnswers(q) {
+    const wrap = document.getElementById('quiz-answers');
+    wrap.innerHTML = '';
+    const button = (label, onClick) => {
+        const btn = document.createElement('button');
+        btn.className = 'nav-btn quiz-answer';
+        btn.textContent = label;
+        btn.addEventListener('click', () => onClick(btn));
+        wrap.appendChild(btn);
+        return btn;
+    };
 
-    let q = '';
-    switch (clue) {
-        case 'name': q = `Dove si trova <strong>"${correct.name}"</strong>? Clicca la curva sulla mappa.`; break;
-        case 'speed': q = `La curva con velocità di uscita <strong>${correct.exitSpeed} km/h</strong> — quale numero?`; break;
-        case 'braking': q = `Difficoltà frenata <strong>${correct.brakingDifficulty}/10</strong>, <strong>${correct.gear}ª marcia</strong> in uscita — che curva è?`; break;
-        case 'direction': q = `La curva nº <strong>${correct.number}</strong> — è a destra o sinistra? Clicca la giusta.`; break;
-        case 'character': q = `<em>"${correct.character.split('—')[0].trim()}"</em> — di quale curva si tratta?`; break;
+    if (q.kind === 'choice') {
+        q.options.forEach(value => button(formatQuizValue(q, value), () => submitQuizAnswer(value)));
+    } else if (q.kind === 'direction') {
+        ['right', 'left'].forEach(dir => button(I18n.t(`panel.${dir}`), () => submitQuizAnswer(dir)));
+    } else if (q.kind === 'order') {
+        q.corners.forEach(c => {
+            const btn = button(`T${c.number} — ${c.name}`, () => {
+                if (btn.disabled) return;
+                btn.disabled = true;
+                App.quizOrder.push(c.number);
+                btn.dataset.rank = App.quizOrder.length;
+                if (App.quizOrder.length === q.corners.length) submitQuizAnswer(App.quizOrder);
+            });
+            // The tap order survives a language switch
+            const rank = App.quizOrder.indexOf(c.number);
+            if (rank >= 0) { btn.disabled = true; btn.dataset.rank = rank + 1; }
+        });
+    } else if (q.kind === 'estimate') {
+        const form = document.createElement('form');
+        form.className = 'quiz-estimate';
+        form.innerHTML = '<input type="number" min="0" max="1000" step="5" required> <span>m</span> <button class="nav-btn" type="submit"></button>';
+        form.querySelector('button').textContent = I18n.t('quiz.check');
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            const guess = Number(form.querySelector('input').value);
+            if (Number.isFinite(guess)) submitQuizAnswer(guess);
+        });
+        wrap.appendChild(form);
+        form.querySelector('input').focus();
     }
+}
+
+function formatQuizValue(q, value) {
+    if (q.kind === 'choice') return q.facet === 'gear' ? I18n.t('quiz.gear', { gear: value }) : `${value} km/h`;
+    if (q.kind === 'direction') return I18n.t(`panel.${value}`);
+    if (q.kind === 'order') return value.map(n => `T${n}`).join(' → ');
+    return value;
+}
 
-    document.getElementById('quiz-question').innerHTML =
-        `<div class="quiz-round">Turno ${App.quizRound}/${App.quizMaxRounds}</div><p>${q}</p>`;
-    document.getElementById('quiz-score-display').textContent = `Score: ${App.quizScore}/${App.quizRound - 1}`;
+function onQuizMapClick(clickedNum) {
+    if (App.quiz && App.quiz.question && QUIZ_MAP_KINDS.includes(App.quiz.question.kind)) submitQuizAnswer(clickedNum);
 }
 
-function handleQuizAnswer(clickedNum) {
-    if (!App.quizCorrect) return;
-    const correct = App.quizCorrect.number;
+function submitQuizAnswer(answer) {
+    if (!App.quiz || !App.quiz.question) return;
+    const { correct, question: q } = Quiz.answerQuestion(App.quiz, answer);
     const fb = document.getElementById('quiz-feedback');
+    fb.className = `quiz-feedback ${correct ? 'correct' : 'wrong'}`;
 
     const style = (num, cls) => {
         const d = document.getElementById(`dot-${num}`);
@@ -364,43 +1740,259 @@ function handleQuizAnswer(clickedNum) {
         if (r) r.classList.add(cls);
     };
 
-    if (clickedNum === correct) {
-        App.quizScore++;
-        fb.className = 'quiz-feedback correct';
-        fb.textContent = `✅ Esatto! T${correct} — ${App.quizCorrect.name}`;
-        style(correct, 'quiz-correct');
+    if (QUIZ_MAP_KINDS.includes(q.kind)) {
+        const target = App.corners.find(c => c.number === q.answer);
+        fb.textContent = I18n.t(correct ? 'quiz.correct' : 'quiz.wrong', { number: target.number, name: target.name });
+        if (!correct) style(answer, 'quiz-wrong');
+        style(q.answer, 'quiz-correct');
+    } else if (q.kind === 'estimate') {
+        fb.textContent = I18n.t(correct ? 'quiz.correct.estimate' : 'quiz.wrong.estimate', { guess: answer, answer: q.answer });
     } else {
-        fb.className = 'quiz-feedback wrong';
-        fb.textContent = `❌ Era T${correct} — ${App.quizCorrect.name}`;
-        style(clickedNum, 'quiz-wrong');
-        style(correct, 'quiz-correct');
+        fb.textContent = I18n.t(correct ? 'quiz.correct.value' : 'quiz.wrong.value', { answer: formatQuizValue(q, q.answer) });
     }
+    document.querySelectorAll('#quiz-answers button, #quiz-answers input').forEach(el => { el.disabled = true; });
 
-    document.getElementById('quiz-score-display').textContent = `Score: ${App.quizScore}/${App.quizRound}`;
-    App.quizCorrect = null;
-    setTimeout(() => {
-        document.querySelectorAll('.quiz-correct, .quiz-wrong').forEach(el =>
-            el.classList.remove('quiz-correct', 'quiz-wrong')
-        );
-        nextQuizQuestion();
-    }, 2200);
+    renderQuizScore();
+    App.quizTimer = setTimeout(nextQuizQuestion, QUIZ_FEEDBACK_DELAY);
 }
 
 function showQuizResult() {
-    const pct = Math.round((App.quizScore / App.quizMaxRounds) * 100);
+    const session = App.quiz;
+    const pct = Math.round((session.score / session.rounds) * 100);
     const emoji = pct >= 80 ? '🏆' : pct >= 50 ? '🏍' : '📚';
-    const msg = pct >= 80 ? 'Sei pronto per guardare la gara da esperto!' :
-        pct >= 50 ? 'Buon lavoro, continua ad allenarti!' :
-            'Torna al Walkthrough per imparare meglio!';
-    document.getElementById('quiz-question').innerHTML = `
+    const msg = I18n.t(pct >= 80 ? 'quiz.result.great' : pct >= 50 ? 'quiz.result.good' : 'quiz.result.poor');
+    const missed = Quiz.missedCorners(session);
+    const question = document.getElementById('quiz-question');
+    question.innerHTML = `
     <div class="quiz-result">
-      <div class="quiz-result-emoji">${emoji}</div>
-      <h2>${App.quizScore}/${App.quizMaxRounds} — ${pct}%</h2>
-      <p>${msg}</p>
-      <button class="mode-btn active" onclick="startQuiz()" style="margin-top:12px">🔄 Riprova</button>
+      <div class="quiz-result-emoji"></div>
+      <h2></h2>
+      <p class="quiz-result-msg"></p>
+      <p class="quiz-result-missed"></p>
+      <button class="mode-btn active" id="btn-quiz-retry" style="margin-top:12px"></button>
+      <button class="mode-btn" id="btn-quiz-setup" style="margin-top:12px"></button>
     </div>`;
+    question.querySelector('.quiz-result-emoji').textContent = emoji;
+    question.querySelector('h2').textContent = `${session.score}/${session.rounds} — ${pct}%`;
+    question.querySelector('.quiz-result-msg').textContent = msg;
+    const revise = question.querySelector('.quiz-result-missed');
+    revise.hidden = !missed.length;
+    revise.textContent = I18n.t('quiz.missed', { corners: missed.map(n => `T${n}`).join(', ') });
+    document.getElementById('btn-quiz-retry').textContent = I18n.t('quiz.retry');
+    document.getElementById('btn-quiz-setup').textContent = I18n.t('quiz.newSession');
+    document.getElementById('btn-quiz-retry').addEventListener('click', startQuizSession);
+    document.getElementById('btn-quiz-setup').addEventListener('click', startQuiz);
+    document.getElementById('quiz-answers').innerHTML = '';
+    document.getElementById('quiz-instruction').hidden = true;
+    document.getElementById('quiz-feedback').className = 'quiz-feedback';
     document.getElementById('quiz-feedback').textContent = '';
 }
 
+// ─── EDITOR MODE ─────────────────────────────────────────────────────────────
+// Edits a draft copy of the selected circuit's corners; the running app keeps the
+// originals. Dragging a marker moves the corner's range of centreline points, which
+// only a circuit package carries: corners JSON exports the corner fields alone, so it
+// is refused once a marker has moved.
+const EDITOR_FIXED_FIELDS = ['id', 'number'];
+
+function startEditor() {
+    if (!App.editor || App.editor.circuitId !== App.circuitId) resetEditorDraft();
+    else showEditorDraft();
+}
+
+function resetEditorDraft() {
+    const selected = App.editor && App.editor.circuitId === App.circuitId ? App.editor.selected : App.corners[0].number;
+    App.editor = {
+        circuitId: App.circuitId,
+        corners: JSON.parse(JSON.stringify(App.corners)),
+        ranges: App.circuit.corners.map(r => ({ ...r })),
+        model: App.circuit,
+        selected,
+        drag: null,
+    };
+    showEditorDraft();
+}
+
+function showEditorDraft() {
+    buildMapMarkers(App.editor.model);
+    editCorner(App.editor.selected);
+}
+
+function editorCorner() {
+    return App.editor.corners.find(c => c.number === App.editor.selected);
+}
+
+function editCorner(number) {
+    App.editor.selected = number;
+    clearMapHighlights();
+    document.getElementById(`dot-${number}`)?.classList.add('active');
+    document.getElementById(`ring-${number}`)?.classList.add('active');
+    renderEditorForm();
+}
+
+// One input per schema field; text fields get one per locale.
+function renderEditorForm() {
+    const corner = editorCorner();
+    const form = document.getElementById('editor-form');
+    form.innerHTML = '';
+    document.getElementById('editor-corner').textContent = `T${corner.number}`;
+    CornerSchema.FIELDS.filter(f => !EDITOR_FIXED_FIELDS.includes(f.key)).forEach(field => {
+        if (field.type === 'text') I18n.locales.forEach(locale => form.appendChild(editorInput(corner, field, locale)));
+        else form.appendChild(editorInput(corner, field));
+    });
+    showEditorErrors();
+}
+
+function editorInput(corner, field, locale) {
+    const row = document.createElement('label');
+    row.className = 'editor-row';
+    row.dataset.field = field.key;
+    const label = document.createElement('span');
+    label.textContent = I18n.t(`editor.field.${field.key}`) + (locale ? ` · ${locale.toUpperCase()}` : '');
+
+    const value = corner[field.key];
+    let input;
+    if (field.type === 'enum') {
+        input = document.createElement('select');
+        field.values.forEach(v => input.add(new Option(I18n.t(`panel.${v}`), v)));
+        input.value = value;
+    } else if (field.type === 'text') {
+        input = document.createElement('textarea');
+        input.rows = 2;
+        input.value = typeof value === 'string' ? (locale === 'en' ? value : '') : (value && value[locale]) || '';
+    } else {
+        input = document.createElement('input');
+        input.type = field.type === 'string' ? 'text' : 'number';
+        if (field.type !== 'string') {
+            input.min = field.min;
+            input.max = field.max;
+            input.step = field.type === 'integer' ? 1 : 'any';
+        }
+        input.value = value ?? '';
+    }
+    input.addEventListener('input', () => updateEditorField(field, locale, input.value));
+
+    const error = document.createElement('span');
+    error.className = 'editor-error';
+    row.append(label, input, error);
+    return row;
+}
+
+function updateEditorField(field, locale, raw) {
+    const corner = editorCorner();
+    if (field.type === 'text') {
+        const value = typeof corner[field.key] === 'string' ? { en: corner[field.key] } : { ...corner[field.key] };
+        if (raw.trim()) value[locale] = raw;
+        else delete value[locale];
+        corner[field.key] = value;
+    } else if (field.type === 'integer' || field.type === 'number') {
+        corner[field.key] = raw === '' ? null : Number(raw);
+    } else {
+        corner[field.key] = raw;
+    }
+    showEditorErrors();
+}
+
+// Field errors under the inputs, plus a summary of every corner that can't be exported yet.
+function showEditorErrors() {
+    const errors = CornerSchema.validateCorner(editorCorner());
+    const form = document.getElementById('editor-form');
+    form.querySelectorAll('.editor-row').forEach(row => {
+        const first = row === form.querySelector(`[data-field="${row.dataset.field}"]`);
+        const error = first && errors.find(e => e.field === row.dataset.field);
+        row.classList.toggle('invalid', !!error);
+        row.lastChild.textContent = error ? error.message : '';
+    });
+
+    const invalid = App.editor.corners.filter(c => CornerSchema.validateCorner(c).length);
+    const moved = editorMarkersMoved();
+    const status = document.getElementById('editor-status');
+    status.textContent = invalid.length
+        ? I18n.t('editor.invalid', { corners: invalid.map(c => `T${c.number}`).join(', ') })
+        : I18n.t(moved ? 'editor.moved' : 'editor.valid');
+    status.classList.toggle('invalid', invalid.length > 0);
+    document.querySelectorAll('.editor-export').forEach(b => { b.disabled = invalid.length > 0; });
+    document.getElementById('btn-editor-corners').disabled = invalid.length > 0 || moved;
+    App.corners.forEach(c => {
+        document.getElementById(`dot-${c.number}`)?.classList.toggle('editor-invalid', invalid.some(i => i.number === c.number));
+    });
+}
+
+// True once a marker has been dragged off the range the circuit gives it.
+function editorMarkersMoved() {
+    return App.editor.ranges.some((r, i) => r.from !== App.circuit.corners[i].from || r.to !== App.circuit.corners[i].to);
+}
+
+function startMarkerDrag(e, number) {
+    e.preventDefault();
+    editCorner(number);
+    App.editor.drag = number;
+    window.addEventListener('pointermove', dragMarker);
+    window.addEventListener('pointerup', endMarkerDrag, { once: true });
+}
+
+function endMarkerDrag() {
+    window.removeEventListener('pointermove', dragMarker);
+    if (App.editor) App.editor.drag = null;
+}
+
+// Snaps the dragged corner to the centreline point nearest the pointer, keeping its
+// length. It can't pass its neighbours, so the corner order round the lap holds.
+function dragMarker(e) {
+    const ed = App.editor;
+    if (!ed || ed.drag == null) return;
+    const svg = document.getElementById('track-svg');
+    const pt = new DOMPoint(e.clientX, e.clientY).matrixTransform(svg.getScreenCTM().inverse());
+    const points = App.circuit.points, n = points.length;
+    const dist = p => Math.hypot(p[0] - pt.x, p[1] - pt.y);
+    const nearest = points.reduce((best, p, i) => (dist(p) < dist(points[best]) ? i : best), 0);
+
+    const idx = ed.ranges.findIndex(r => r.id === ed.drag);
+    const range = ed.ranges[idx];
+    const span = (range.to - range.from + n) % n;
+    const from = (nearest - Math.floor(span / 2) + n) % n;
+    if (from === range.from) return;
+    const to = (from + span) % n;
+
+    if (ed.ranges.length > 1) {
+        const prev = ed.ranges[(idx - 1 + ed.ranges.length) % ed.ranges.length];
+        const next = ed.ranges[(idx + 1) % ed.ranges.length];
+        const gap = (a, b) => (b - a + n) % n;
+        if (gap(prev.to, from) + span + gap(to, next.from) !== gap(prev.to, next.from)) return;
+    }
+
+    range.from = from;
+    range.to = to;
+    ed.model = new CircuitModel({ ...editorCircuitDefinition(), corners: ed.ranges });
+    buildMapMarkers(ed.model);
+    editCorner(ed.drag);
+}
+
+function editorCircuitDefinition() {
+    const { id, name, lengthM, sectors, points } = App.circuit;
+    return { id, name, lengthM, sectors, points };
+}
+
+// The corner fields only; disabled once a marker has moved (see showEditorErrors).
+function exportEditorCorners() {
+    if (editorMarkersMoved()) return;
+    downloadJSON('corners.json', JSON.stringify(App.editor.corners, null, 2));
+}
+
+// Same format as the files in data/ (directives/circuit-packages.md), so it loads back in.
+function exportEditorPackage() {
+    const circuit = App.circuits.find(c => c.id === App.editor.circuitId);
+    const { id, ...def } = editorCircuitDefinition();
+    const pkg = {
+        id,
+        name: circuit.name,
+        location: circuit.location,
+        stats: circuit.stats,
+        circuit: { lengthM: def.lengthM, sectors: def.sectors, points: def.points, corners: App.editor.ranges },
+        corners: App.editor.corners,
+    };
+    downloadJSON(`${id}.json`, JSON.stringify(pkg, null, 2));
+}
+
 // ─── Init ─────────────────────────────────────────────────────────────────────
 document.addEventListener('DOMContentLoaded', boot);
@@ -0,0 +1,247 @@
+/**
+ * circuit.js — Circuit Geometry Model
+ * Chang International Circuit — Buriram, Thailand
+ *
+ * The single description of a track layout. The SVG map path, the corner
+ * marker positions and the Ride 3D segment list are all derived from it, so a
+ * corner is moved in one place only. Other circuits use the same shape as the
+ * `circuit` block of a circuit package (see directives/circuit-packages.md).
+ */
+
+'use strict';
+
+const CircuitModel = (() => {
+
+  // ─── Chang International Circuit ────────────────────────────────────────────
+  const CHANG = {
+    id: 'chang',
+    name: 'Chang International Circuit',
+    lengthM: 4554,
+    // Sector 2 and 3 start at the turn-in of these corners
+    sectors: [4, 9],
+    // Centreline control points, clockwise from the S/F line:
+    // [mapX, mapY, elevation (m), width (m)] in the 0–100 #track-svg viewBox.
+    points: [
+      [84.82, 54.2, 0.0, 15], [85.14, 55.41, 0.0, 15], [86.48, 60.4, 0.2, 15], [87.82, 65.4, 0.3, 15],
+      [89.16, 70.39, 0.4, 15], [89.48, 71.6, 0.5, 15], [89.48, 72.9, 0.5, 12], [88.83, 74.03, 0.6, 12],
+      [87.71, 74.68, 0.6, 12], [86.41, 74.68, 0.6, 12], [85.19, 74.35, 0.7, 12], [80.07, 72.98, 0.8, 12],
+      [78.86, 72.66, 0.9, 12], [76.26, 72.31, 1.0, 12], [73.66, 72.66, 1.1, 12], [72.44, 72.98, 1.3, 13],
+      [66.4, 74.6, 1.9, 13], [60.35, 76.22, 2.6, 13], [54.3, 77.84, 3.3, 13], [48.25, 79.46, 3.9, 13],
+      [42.2, 81.09, 4.6, 13], [36.15, 82.71, 5.3, 13], [30.1, 84.33, 6.0, 13], [24.05, 85.95, 6.6, 13],
+      [18.01, 87.57, 7.3, 13], [11.96, 89.19, 8.0, 13], [10.74, 89.51, 7.9, 12], [9.67, 89.53, 7.8, 12],
+      [8.71, 89.03, 7.7, 12], [8.11, 88.14, 7.7, 12], [8.0, 87.07, 7.6, 12], [8.41, 86.08, 7.5, 12],
+      [9.25, 85.4, 7.5, 12], [10.38, 84.87, 7.5, 12], [14.82, 82.8, 7.5, 12], [15.96, 82.27, 7.5, 12],
+      [16.98, 81.51, 7.5, 12], [17.62, 80.41, 7.5, 12], [17.76, 79.15, 7.5, 12], [17.65, 77.9, 7.4, 12],
+      [17.13, 71.93, 7.1, 12], [16.61, 65.95, 6.8, 12], [16.09, 59.98, 6.5, 12], [15.57, 54.01, 6.2, 12],
+      [15.46, 52.76, 6.2, 12], [15.74, 51.16, 6.1, 12], [16.78, 49.92, 6.0, 12], [18.31, 49.36, 5.8, 12],
+      [19.56, 49.25, 5.7, 12], [24.19, 48.85, 5.2, 12], [28.83, 48.44, 4.7, 12], [30.08, 48.33, 4.6, 12],
+      [32.56, 47.74, 4.3, 12], [34.77, 46.47, 4.0, 12], [36.52, 44.62, 3.9, 12], [37.24, 43.59, 3.9, 12],
+      [41.08, 38.1, 3.7, 12], [44.92, 32.62, 3.4, 12], [48.76, 27.13, 3.2, 12], [49.48, 26.1, 3.2, 12],
+      [51.97, 24.01, 3.1, 12], [55.17, 23.45, 2.9, 12], [56.42, 23.56, 2.8, 12], [60.99, 23.96, 2.6, 12],
+      [65.56, 24.36, 2.3, 12], [66.81, 24.47, 2.3, 12], [69.42, 24.24, 2.1, 12], [71.79, 23.13, 2.0, 12],
+      [73.64, 21.28, 2.2, 12], [74.36, 20.25, 2.2, 12], [77.05, 16.41, 2.5, 12], [79.75, 12.56, 2.7, 12],
+      [80.47, 11.53, 2.8, 12], [81.46, 10.7, 2.9, 12], [82.75, 10.47, 2.9, 12], [83.97, 10.91, 3.0, 12],
+      [84.8, 11.91, 3.0, 12], [85.03, 13.19, 3.0, 12], [84.95, 14.04, 3.0, 12], [84.88, 14.88, 3.0, 12],
+      [84.81, 15.73, 3.0, 12], [84.88, 17.36, 3.0, 12], [85.37, 18.93, 3.0, 12], [85.9, 20.07, 3.1, 12],
+      [88.42, 25.47, 3.4, 12], [90.94, 30.87, 3.7, 12], [91.47, 32.01, 3.7, 12], [92.0, 34.39, 3.8, 12],
+      [91.47, 36.78, 3.9, 12], [89.98, 38.72, 3.6, 12], [87.81, 39.85, 2.8, 12], [86.6, 40.18, 2.4, 12],
+      [85.38, 40.51, 1.9, 12], [84.16, 40.83, 1.5, 12], [82.9, 41.56, 1.0, 12], [82.16, 42.83, 0.6, 12],
+      [82.16, 44.29, 0.4, 12], [82.49, 45.51, 0.4, 15], [83.49, 49.25, 0.2, 15], [84.49, 52.98, 0.1, 15],
+    ],
+    // Corner ranges as point indices, turn-in → exit. ids match CORNERS_DATA numbers.
+    corners: [
+      { id: 1, from: 5, to: 9 },
+      { id: 2, from: 12, to: 14 },
+      { id: 3, from: 26, to: 32 },
+      { id: 4, from: 35, to: 38 },
+      { id: 5, from: 44, to: 47 },
+      { id: 6, from: 51, to: 54 },
+      { id: 7, from: 59, to: 61 },
+      { id: 8, from: 65, to: 68 },
+      { id: 9, from: 72, to: 77 },
+      { id: 10, from: 80, to: 82 },
+      { id: 11, from: 86, to: 90 },
+      { id: 12, from: 93, to: 96 },
+    ],
+  };
+
+  const SAMPLES_PER_SPAN = 24;
+
+  // ─── Spline Helpers ─────────────────────────────────────────────────────────
+  // The centreline is a closed Catmull-Rom spline through the control points,
+  // expressed as cubic beziers so the SVG path draws exactly the same curve.
+
+  function spanBezier(points, i) {
+    const n = points.length;
+    const p0 = points[(i - 1 + n) % n], p1 = points[i];
+    const p2 = points[(i + 1) % n], p3 = points[(i + 2) % n];
+    return [
+      [p1[0], p1[1]],
+      [p1[0] + (p2[0] - p0[0]) / 6, p1[1] + (p2[1] - p0[1]) / 6],
+      [p2[0] - (p3[0] - p1[0]) / 6, p2[1] - (p3[1] - p1[1]) / 6],
+      [p2[0], p2[1]],
+    ];
+  }
+
+  function bezierAt(b, t) {
+    const u = 1 - t;
+    const w = [u * u * u, 3 * u * u * t, 3 * u * t * t, t * t * t];
+    return [
+      w[0] * b[0][0] + w[1] * b[1][0] + w[2] * b[2][0] + w[3] * b[3][0],
+      w[0] * b[0][1] + w[1] * b[1][1] + w[2] * b[2][1] + w[3] * b[3][1],
+    ];
+  }
+
+  function validateDefinition(def) {
+    const n = Array.isArray(def.points) ? def.points.length : 0;
+    if (!def.id || !def.name) throw new Error('Circuit needs an id and a name');
+    if (!(def.lengthM > 0)) throw new Error(`${def.id}: lengthM must be a positive number of metres`);
+    if (n < 4) throw new Error(`${def.id}: at least 4 centreline points are required`);
+    def.points.forEach((p, i) => {
+      if (!Array.isArray(p) || p.length !== 4 || p.some(v => typeof v !== 'number')) {
+        throw new Error(`${def.id}: point ${i} must be [mapX, mapY, elevation, width]`);
+      }
+    });
+    if (!Array.isArray(def.corners) || !def.corners.length) throw new Error(`${def.id}: corner ranges missing`);
+    def.corners.forEach(c => {
+      if (!(c.from >= 0 && c.from < n && c.to >= 0 && c.to < n)) throw new Error(`${def.id}: corner ${c.id} range is outside the point list`);
+    });
+    (def.sectors || []).forEach(id => {
+      if (!def.corners.some(c => c.id === id)) throw new Error(`${def.id}: sector starts at unknown corner ${id}`);
+    });
+  }
+
+  function wrapAngle(a) {
+    while (a > Math.PI) a -= Math.PI * 2;
+    while (a < -Math.PI) a += Math.PI * 2;
+    return a;
+  }
+
+  // ─── Model ──────────────────────────────────────────────────────────────────
+
+  class CircuitModel {
+    constructor(def) {
+      validateDefinition(def);
+      this.id = def.id;
+      this.name = def.name;
+      this.lengthM = def.lengthM;
+      this.points = def.points;
+      this.corners = def.corners;
+      // Without explicit sectors the corner list is split in thirds
+      const ids = def.corners.map(c => c.id);
+      this.sectors = def.sectors || [ids[Math.floor(ids.length / 3)], ids[Math.floor(ids.length * 2 / 3)]];
+      this.samples = [];      // dense centreline: { x, y, z, w, d } with d in map units
+      this.pointDist = [];    // map-unit distance of each control point from the S/F line
+
+      let d = 0;
+      this.points.forEach((p, i) => {
+        const q = this.points[(i + 1) % this.points.length];
+        const b = spanBezier(this.points, i);
+        this.pointDist.push(d);
+        let prev = b[0];
+        for (let k = 0; k < SAMPLES_PER_SPAN; k++) {
+          const t = k / SAMPLES_PER_SPAN;
+          const xy = bezierAt(b, t);
+          d += Math.hypot(xy[0] - prev[0], xy[1] - prev[1]);
+          prev = xy;
+          this.samples.push({ x: xy[0], y: xy[1], z: p[2] + (q[2] - p[2]) * t, w: p[3] + (q[3] - p[3]) * t, d });
+        }
+        d += Math.hypot(b[3][0] - prev[0], b[3][1] - prev[1]);
+      });
+      this.mapLength = d;
+      this.metresPerUnit = this.lengthM / this.mapLength;
+    }
+
+    // Centreline state at a distance (metres) from the S/F line, wrapped to one lap.
+    at(metres) {
+      const d = (((metres / this.metresPerUnit) % this.mapLength) + this.mapLength) % this.mapLength;
+      const s = this.samples;
+      let lo = 0, hi = s.length - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (s[mid].d <= d) lo = mid; else hi = mid - 1;
+      }
+      const a = s[lo], b = lo + 1 < s.length ? s[lo + 1] : { ...s[0], d: this.mapLength };
+      const f = b.d > a.d ? (d - a.d) / (b.d - a.d) : 0;
+      return {
+        x: a.x + (b.x - a.x) * f,
+        y: a.y + (b.y - a.y) * f,
+        z: a.z + (b.z - a.z) * f,
+        w: a.w + (b.w - a.w) * f,
+        heading: Math.atan2(b.y - a.y, b.x - a.x),
+      };
+    }
+
+    pointAt(fraction) {
+      return this.at(fraction * this.lengthM);
+    }
+
+    cornerRange(id) {
+      const c = this.corners.find(c => c.id === id);
+      if (!c) return null;
+      let end = this.pointDist[c.to];
+      if (end < this.pointDist[c.from]) end += this.mapLength;
+      return { start: this.pointDist[c.from] * this.metresPerUnit, end: end * this.metresPerUnit };
+    }
+
+    cornerMarker(id) {
+      const r = this.cornerRange(id);
+      return r ? this.at((r.start + r.end) / 2) : null;
+    }
+
+    // SVG `d` attribute for the whole lap.
+    svgPath() {
+      const f = v => Math.round(v * 100) / 100;
+      const parts = [`M ${f(this.points[0][0])} ${f(this.points[0][1])}`];
+      this.points.forEach((p, i) => {
+        const b = spanBezier(this.points, i);
+        parts.push(`C ${f(b[1][0])} ${f(b[1][1])}, ${f(b[2][0])} ${f(b[2][1])}, ${f(b[3][0])} ${f(b[3][1])}`);
+      });
+      return parts.join(' ') + ' Z';
+    }
+
+    // Start/finish line across the track plus a direction arrow just before it.
+    startLine(halfWidth = 2.5) {
+      const p = this.at(0);
+      const nx = -Math.sin(p.heading), ny = Math.cos(p.heading);
+      const hx = Math.cos(p.heading), hy = Math.sin(p.heading);
+      const f = v => Math.round(v * 100) / 100;
+      const tx = p.x - hx * 3, ty = p.y - hy * 3;
+      return {
+        x1: p.x - nx * halfWidth, y1: p.y - ny * halfWidth,
+        x2: p.x + nx * halfWidth, y2: p.y + ny * halfWidth,
+        arrow: `M ${f(tx - hx * 3 - nx * 3)} ${f(ty - hy * 3 - ny * 3)} L ${f(tx)} ${f(ty)} L ${f(tx - hx * 3 + nx * 3)} ${f(ty - hy * 3 + ny * 3)}`,
+      };
+    }
+
+    // Equal-length slices of the lap for the pseudo-3D engine. `turn` is the
+    // heading change across the slice in radians (positive = right-hander).
+    buildSegments(segmentMetres) {
+      const count = Math.round(this.lengthM / segmentMetres);
+      const len = this.lengthM / count;
+      const ranges = this.corners.map(c => ({ id: c.id, ...this.cornerRange(c.id) }));
+      const segments = [];
+
+      for (let i = 0; i < count; i++) {
+        const start = i * len, mid = start + len / 2;
+        const a = this.at(start), b = this.at(start + len);
+        const p = this.at(mid);
+        const corner = ranges.find(r => mid >= r.start && mid < r.end);
+        segments.push({
+          turn: wrapAngle(b.heading - a.heading),
+          elevation: p.z,
+          width: p.w,
+          cornerId: corner ? corner.id : null,
+          cornerT: corner ? (mid - corner.start) / (corner.end - corner.start) : null,
+        });
+      }
+      return segments;
+    }
+  }
+
+  CircuitModel.chang = new CircuitModel(CHANG);
+
+  return CircuitModel;
+})();
+
+window.CircuitModel = CircuitModel;
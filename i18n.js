@@ -0,0 +1,521 @@
+/**
+ * i18n.js — Locale Layer
+ * Buriram GP MotoGP Circuit Simulator
+ *
+ * Per-language UI string tables plus lookup of localized data fields. Corner
+ * and circuit text fields are either a plain string or an object keyed by
+ * locale, e.g. { en: "Start/Finish straight", it: "Rettilineo Start/Finish" }.
+ */
+
+'use strict';
+
+const I18n = (() => {
+
+  const LOCALE_KEY = 'buriramgp.locale';
+  const DEFAULT_LOCALE = 'en';
+
+  // ─── String Tables ──────────────────────────────────────────────────────────
+  const STRINGS = {
+    en: {
+      'mode.ride': '🏍  Ride 3D',
+      'mode.explore': '🗺  Explore',
+      'mode.walk': '⏱  Walkthrough',
+      'mode.quiz': '❓  Quiz',
+      'mode.editor': '✏  Editor',
+
+      'circuit.badge': '{name} · {km} km · {turns} turns',
+      'circuit.load': '📂 Load circuit file…',
+      'circuit.rejected': 'Circuit file rejected: {message}',
+
+      'panel.right': '↪ RIGHT',
+      'panel.left': '↩ LEFT',
+      'panel.entry': 'Entry km/h',
+      'panel.exit': 'Exit km/h',
+      'panel.gear': 'Gear',
+      'panel.braking': 'Braking Difficulty',
+      'panel.character': 'Character',
+      'panel.tip': '🏍 Pilot Note',
+      'panel.landmark': '📍 Landmark',
+      'panel.prev': '◀ Prev',
+      'panel.next': 'Next ▶',
+      'walk.play': '▶ Play',
+      'walk.pause': '⏸ Pause',
+      'walk.narrate': '🔊 Narration',
+
+      'quiz.title': '❓ Quiz',
+      'quiz.loading': 'Loading...',
+      'quiz.instruction': '👆 Click the correct corner on the map',
+      'quiz.round': 'Round {round}/{total}',
+      'quiz.score': 'Score: {score}/{total}',
+      'quiz.q.name': 'Where is <strong>"{name}"</strong>? Click the corner on the map.',
+      'quiz.q.speed': 'The corner with an exit speed of <strong>{speed} km/h</strong> — which number?',
+      'quiz.q.braking': 'Braking difficulty <strong>{braking}/10</strong>, <strong>gear {gear}</strong> on exit — which corner is it?',
+      'quiz.q.character': '<em>"{character}"</em> — which corner is this?',
+      'quiz.q.choice.exitSpeed': 'What is the exit speed of <strong>T{number} "{name}"</strong>?',
+      'quiz.q.choice.entrySpeed': 'At what speed do the riders arrive at <strong>T{number} "{name}"</strong>?',
+      'quiz.q.choice.gear': 'Which gear do the riders use out of <strong>T{number} "{name}"</strong>?',
+      'quiz.q.order': 'Put these corners in order, <strong>hardest braking first</strong>.',
+      'quiz.q.next': 'Which corner comes after <strong>T{number} "{name}"</strong>?',
+      'quiz.q.estimate': 'How long is the braking zone into <strong>T{number} "{name}"</strong>, in metres?',
+      'quiz.q.direction': '<strong>T{number} "{name}"</strong> — a right-hander or a left-hander?',
+      'quiz.instruction.pick': '👇 Pick your answer below',
+      'quiz.instruction.order': '👇 Tap the corners from hardest to lightest braking',
+      'quiz.instruction.estimate': '👇 Type your estimate and press Check',
+      'quiz.instruction.setup': 'Choose your session and press Start',
+      'quiz.gear': 'Gear {gear}',
+      'quiz.check': 'Check',
+      'quiz.correct': '✅ Correct! T{number} — {name}',
+      'quiz.wrong': '❌ It was T{number} — {name}',
+      'quiz.correct.value': '✅ Correct! {answer}',
+      'quiz.wrong.value': '❌ It was {answer}',
+      'quiz.correct.estimate': '✅ Close enough! The reference is {answer} m',
+      'quiz.wrong.estimate': '❌ You said {guess} m — the reference is {answer} m',
+      'quiz.setup.rounds': 'Questions',
+      'quiz.setup.kinds': 'Question types',
+      'quiz.kind.map': 'Find it on the map',
+      'quiz.kind.choice': 'Multiple choice',
+      'quiz.kind.order': 'Braking order',
+      'quiz.kind.next': 'What comes next',
+      'quiz.kind.estimate': 'Braking distance',
+      'quiz.kind.direction': 'Left or right',
+      'quiz.start': '▶ Start',
+      'quiz.mistakes': 'Remembered mistakes: {count}. Those corners come up more often.',
+      'quiz.forget': 'Forget past mistakes',
+      'quiz.missed': 'Revise: {corners}',
+      'quiz.newSession': '⚙ New session',
+      'quiz.result.great': 'You are ready to watch the race like an expert!',
+      'quiz.result.good': 'Good job, keep practising!',
+      'quiz.result.poor': 'Go back to the Walkthrough to learn more!',
+      'quiz.retry': '🔄 Try again',
+
+      'ride.ghostExport': '👻 Export Ghost',
+      'ride.ghostImport': '👻 Import Ghost',
+      'ride.lapComplete': '🏁 LAP COMPLETE',
+      'ride.personalBest': '🏁 PERSONAL BEST',
+      'ride.sectorBest': '🟣 S{sector} BEST {time}',
+      'ride.offTrack': '⚠ OFF TRACK',
+      'ride.cornerFigures': '{entry} → {exit} km/h · gear {gear}',
+      'ride.noGhost': '👻 NO GHOST YET',
+      'ride.ghostLoaded': '👻 GHOST LOADED',
+      'ride.ghostInvalid': '⚠ INVALID GHOST FILE',
+      'ride.controls': '🎮 Controls',
+      'ride.telemetry': '📈 Telemetry',
+      'ride.rivals': '🏍 Rivals',
+      'ride.race': '🏁 Race',
+      'ride.camera': '🎥 {camera}',
+      'ride.gearbox': '⚙ {gearbox}',
+      'ride.sound': '🔊 Sound',
+      'ride.replay': '⏪ Replay',
+      'ride.noReplay': '⏪ NOTHING TO REPLAY YET',
+      'camera.onboard': 'Onboard',
+      'camera.chase': 'Chase',
+      'camera.topdown': 'Top-down',
+      'gearbox.auto': 'Auto gears',
+      'gearbox.manual': 'Manual gears',
+      'conditions.day': '☀ Day',
+      'conditions.dusk': '🌇 Dusk',
+      'conditions.night': '🌙 Night race',
+      'conditions.wet': '🌧 Wet',
+
+      'race.laps': '{laps} laps',
+      'race.title': '🏁 Race Results',
+      'race.position': 'Finished P{position} of {riders}',
+      'race.total': '{laps} laps in {time}',
+      'race.lap': 'Lap',
+      'race.time': 'Time',
+      'race.best': 'Best lap: {time} (lap {lap})',
+      'race.again': '🔄 Race again',
+      'race.close': 'Free ride',
+      'ride.spot': '🎯 Name that corner',
+      'ride.drill': '🛑 Braking drill',
+      'spot.prompt': 'Which corner is this? Answer before the apex — the earlier, the more points.',
+      'spot.round': 'Corner {round}/{total}',
+      'spot.correct': '✅ T{number} {name} — {metres} m before the apex: +{points}',
+      'spot.wrong': '❌ It was T{number} {name}',
+      'spot.late': '⏱ Too late — it was T{number} {name}',
+      'spot.title': '🎯 Name That Corner',
+      'spot.total': '{points} points out of {max}',
+      'spot.corner': 'Corner',
+      'spot.answer': 'Answer',
+      'spot.metres': 'Before apex',
+      'spot.points': 'Points',
+      'spot.again': '🔄 Play again',
+      'spot.close': 'Free ride',
+
+      'drill.title': '🛑 Braking Drill',
+      'drill.hint': 'Up to 50 points for braking at the corner’s braking distance and 50 for leaving it at its exit speed.',
+      'drill.result': '🛑 {points} points — braked at {braking} m, exit {exit} km/h',
+      'drill.crashed': '💥 Crashed — no points',
+      'drill.session': '{runs} runs this session, best {best} points',
+      'drill.noRuns': 'No runs of your own this session.',
+      'drill.corner': 'Corner',
+      'drill.runs': 'Runs',
+      'drill.best': 'Best',
+      'drill.bestRun': '{points} ({braking} m, {exit} km/h)',
+      'drill.average': 'Average',
+      'drill.last': 'Last',
+      'drill.again': '🔄 Drill again',
+      'drill.close': 'Free ride',
+
+      'telemetry.title': '📈 Last Lap Telemetry',
+      'telemetry.empty': 'Complete a lap to see its telemetry.',
+      'telemetry.legend': 'White: your speed · gold / teal ticks: reference entry / exit speed · red dashes: reference braking point',
+      'telemetry.corner': 'Corner',
+      'telemetry.brakePoint': 'Braking point',
+      'telemetry.entry': 'Entry km/h',
+      'telemetry.min': 'Min km/h',
+      'telemetry.exit': 'Exit km/h',
+      'telemetry.early': '{m} m early',
+      'telemetry.late': '{m} m late',
+      'telemetry.onPoint': 'on the mark',
+      'telemetry.noBrake': 'no braking',
+
+      'controls.title': '🎮 Controls',
+      'controls.throttle': 'Throttle',
+      'controls.brake': 'Brake',
+      'controls.left': 'Steer left',
+      'controls.right': 'Steer right',
+      'controls.shiftUp': 'Shift up',
+      'controls.shiftDown': 'Shift down',
+      'controls.demo': 'Demo rider',
+      'controls.camera': 'Change camera',
+      'controls.replay': 'Instant replay',
+      'controls.press': 'Press a key…',
+      'controls.reset': 'Reset keys',
+      'controls.hint': 'Gamepad: RT throttle · LT brake · left stick steers · RB / LB shift up / down · Y demo rider · X camera · B replay',
+      'controls.touch': 'Touch: drag on the left half to steer, slide on the right half — up throttle, down brake',
+
+      'editor.title': '✏ Corner Editor',
+      'editor.hint': 'Click a marker to edit the corner, drag it along the track to move it.',
+      'editor.field.name': 'Name',
+      'editor.field.direction': 'Direction',
+      'editor.field.entrySpeed': 'Entry speed (km/h)',
+      'editor.field.exitSpeed': 'Exit speed (km/h)',
+      'editor.field.gear': 'Gear',
+      'editor.field.brakingDifficulty': 'Braking difficulty (0–10)',
+      'editor.field.brakingDistance': 'Braking distance (m)',
+      'editor.field.decelG': 'Deceleration (G)',
+      'editor.field.character': 'Character',
+      'editor.field.tip': 'Pilot note',
+      'editor.field.landmark': 'Landmark',
+      'editor.valid': '✅ All corners valid',
+      'editor.moved': '✅ All corners valid — moved markers are saved only in the circuit package',
+      'editor.invalid': '⚠ Fix {corners} before exporting',
+      'editor.exportCorners': '⬇ corners.json',
+      'editor.exportPackage': '⬇ Circuit package',
+      'editor.reset': 'Discard changes',
+
+      'schema.required': '{field} is required',
+      'schema.number': '{field} must be a number',
+      'schema.integer': '{field} must be a whole number',
+      'schema.range': '{field} must be between {min} and {max}',
+      'schema.enum': '{field} must be {values}',
+      'schema.text': '{field} needs an English text',
+      'schema.marker': '{field} must be an object like { "kind": "board" }',
+      'schema.color': '{field} must be a colour like #ff7a1a',
+      'schema.notObject': 'Corner entry is not an object',
+      'schema.braking': 'braking {min}+ corners need entrySpeed ≥ exitSpeed',
+      'schema.notArray': 'Corner data must be a list',
+      'schema.duplicate': 'number is used more than once',
+      'schema.unknown': 'number has no corner on the circuit',
+      'schema.missing': 'corner is missing',
+      'schema.count': 'Expected {expected} corners, found {found}',
+
+      'data.invalid': '⚠ {file} failed validation — using the built-in corner data',
+      'data.unreadable': '⚠ {file} could not be read ({message}) — using the built-in corner data',
+
+      'hud.kmh': 'km/h',
+      'hud.gear': 'GEAR',
+      'hud.gearAuto': 'AUTO',
+      'hud.delta': 'Δ BEST',
+      'hud.lap': 'LAP',
+      'hud.last': 'LAST',
+      'hud.best': 'BEST',
+      'hud.crash': 'CRASH',
+      'hud.runningWide': 'RUNNING WIDE',
+      'hud.position': 'POS',
+      'hud.slipstream': 'SLIPSTREAM',
+      'hud.toApex': 'T? · {metres} m TO APEX',
+      'hud.drillRun': 'RUN {run}',
+      'hud.drillTarget': 'BRAKE AT {braking} m · EXIT {exit} km/h',
+      'hud.drillResult': '{points} PTS · BRAKED AT {braking} m · EXIT {exit} km/h',
+      'hud.drillCrashed': 'CRASHED · 0 PTS',
+      'hud.replay': '⏪ REPLAY',
+      'hud.trackside': 'T{corner} TRACKSIDE CAMERA',
+    },
+
+    it: {
+      'mode.ride': '🏍  Guida 3D',
+      'mode.explore': '🗺  Esplora',
+      'mode.walk': '⏱  Percorso',
+      'mode.quiz': '❓  Quiz',
+      'mode.editor': '✏  Editor',
+
+      'circuit.badge': '{name} · {km} km · {turns} curve',
+      'circuit.load': '📂 Carica file circuito…',
+      'circuit.rejected': 'File circuito non valido: {message}',
+
+      'panel.right': '↪ DESTRA',
+      'panel.left': '↩ SINISTRA',
+      'panel.entry': 'Entrata km/h',
+      'panel.exit': 'Uscita km/h',
+      'panel.gear': 'Marcia',
+      'panel.braking': 'Difficoltà frenata',
+      'panel.character': 'Carattere',
+      'panel.tip': '🏍 Nota del pilota',
+      'panel.landmark': '📍 Riferimento',
+      'panel.prev': '◀ Prec',
+      'panel.next': 'Succ ▶',
+      'walk.play': '▶ Riproduci',
+      'walk.pause': '⏸ Pausa',
+      'walk.narrate': '🔊 Narrazione',
+
+      'quiz.title': '❓ Quiz',
+      'quiz.loading': 'Caricamento...',
+      'quiz.instruction': '👆 Clicca la curva corretta sulla mappa',
+      'quiz.round': 'Turno {round}/{total}',
+      'quiz.score': 'Punteggio: {score}/{total}',
+      'quiz.q.name': 'Dove si trova <strong>"{name}"</strong>? Clicca la curva sulla mappa.',
+      'quiz.q.speed': 'La curva con velocità di uscita <strong>{speed} km/h</strong> — quale numero?',
+      'quiz.q.braking': 'Difficoltà frenata <strong>{braking}/10</strong>, <strong>{gear}ª marcia</strong> in uscita — che curva è?',
+      'quiz.q.character': '<em>"{character}"</em> — di quale curva si tratta?',
+      'quiz.q.choice.exitSpeed': 'Qual è la velocità di uscita da <strong>T{number} "{name}"</strong>?',
+      'quiz.q.choice.entrySpeed': 'A che velocità arrivano i piloti a <strong>T{number} "{name}"</strong>?',
+      'quiz.q.choice.gear': 'Che marcia usano i piloti in uscita da <strong>T{number} "{name}"</strong>?',
+      'quiz.q.order': 'Metti in ordine queste curve, <strong>dalla frenata più dura</strong>.',
+      'quiz.q.next': 'Quale curva viene dopo <strong>T{number} "{name}"</strong>?',
+      'quiz.q.estimate': 'Quanto è lunga la frenata di <strong>T{number} "{name}"</strong>, in metri?',
+      'quiz.q.direction': '<strong>T{number} "{name}"</strong> — è una curva a destra o a sinistra?',
+      'quiz.instruction.pick': '👇 Scegli la risposta qui sotto',
+      'quiz.instruction.order': '👇 Tocca le curve dalla frenata più dura alla più leggera',
+      'quiz.instruction.estimate': '👇 Scrivi la tua stima e premi Verifica',
+      'quiz.instruction.setup': 'Scegli la sessione e premi Inizia',
+      'quiz.gear': '{gear}ª marcia',
+      'quiz.check': 'Verifica',
+      'quiz.correct': '✅ Esatto! T{number} — {name}',
+      'quiz.wrong': '❌ Era T{number} — {name}',
+      'quiz.correct.value': '✅ Esatto! {answer}',
+      'quiz.wrong.value': '❌ Era {answer}',
+      'quiz.correct.estimate': '✅ Ci sei quasi! Il riferimento è {answer} m',
+      'quiz.wrong.estimate': '❌ Hai detto {guess} m — il riferimento è {answer} m',
+      'quiz.setup.rounds': 'Domande',
+      'quiz.setup.kinds': 'Tipi di domanda',
+      'quiz.kind.map': 'Trovala sulla mappa',
+      'quiz.kind.choice': 'Scelta multipla',
+      'quiz.kind.order': 'Ordine di frenata',
+      'quiz.kind.next': 'Cosa viene dopo',
+      'quiz.kind.estimate': 'Spazio di frenata',
+      'quiz.kind.direction': 'Destra o sinistra',
+      'quiz.start': '▶ Inizia',
+      'quiz.mistakes': 'Errori ricordati: {count}. Quelle curve usciranno più spesso.',
+      'quiz.forget': 'Dimentica gli errori',
+      'quiz.missed': 'Da ripassare: {corners}',
+      'quiz.newSession': '⚙ Nuova sessione',
+      'quiz.result.great': 'Sei pronto per guardare la gara da esperto!',
+      'quiz.result.good': 'Buon lavoro, continua ad allenarti!',
+      'quiz.result.poor': 'Torna al Percorso per imparare meglio!',
+      'quiz.retry': '🔄 Riprova',
+
+      'ride.ghostExport': '👻 Esporta ghost',
+      'ride.ghostImport': '👻 Importa ghost',
+      'ride.lapComplete': '🏁 GIRO COMPLETATO',
+      'ride.personalBest': '🏁 RECORD PERSONALE',
+      'ride.sectorBest': '🟣 S{sector} MIGLIORE {time}',
+      'ride.offTrack': '⚠ FUORI PISTA',
+      'ride.cornerFigures': '{entry} → {exit} km/h · {gear}ª marcia',
+      'ride.noGhost': '👻 NESSUN GHOST',
+      'ride.ghostLoaded': '👻 GHOST CARICATO',
+      'ride.ghostInvalid': '⚠ FILE GHOST NON VALIDO',
+      'ride.controls': '🎮 Comandi',
+      'ride.telemetry': '📈 Telemetria',
+      'ride.rivals': '🏍 Avversari',
+      'ride.race': '🏁 Gara',
+      'ride.camera': '🎥 {camera}',
+      'ride.gearbox': '⚙ {gearbox}',
+      'ride.sound': '🔊 Audio',
+      'ride.replay': '⏪ Replay',
+      'ride.noReplay': '⏪ ANCORA NIENTE DA RIVEDERE',
+      'camera.onboard': 'Onboard',
+      'camera.chase': 'Inseguimento',
+      'camera.topdown': 'Dall’alto',
+      'gearbox.auto': 'Cambio automatico',
+      'gearbox.manual': 'Cambio manuale',
+      'conditions.day': '☀ Giorno',
+      'conditions.dusk': '🌇 Tramonto',
+      'conditions.night': '🌙 Gara in notturna',
+      'conditions.wet': '🌧 Bagnato',
+
+      'race.laps': '{laps} giri',
+      'race.title': '🏁 Risultati gara',
+      'race.position': 'Arrivato P{position} su {riders}',
+      'race.total': '{laps} giri in {time}',
+      'race.lap': 'Giro',
+      'race.time': 'Tempo',
+      'race.best': 'Giro migliore: {time} (giro {lap})',
+      'race.again': '🔄 Corri di nuovo',
+      'race.close': 'Guida libera',
+      'ride.spot': '🎯 Indovina la curva',
+      'ride.drill': '🛑 Prova di frenata',
+      'spot.prompt': 'Che curva è? Rispondi prima dell’apice — prima rispondi, più punti fai.',
+      'spot.round': 'Curva {round}/{total}',
+      'spot.correct': '✅ T{number} {name} — {metres} m prima dell’apice: +{points}',
+      'spot.wrong': '❌ Era T{number} {name}',
+      'spot.late': '⏱ Troppo tardi — era T{number} {name}',
+      'spot.title': '🎯 Indovina la Curva',
+      'spot.total': '{points} punti su {max}',
+      'spot.corner': 'Curva',
+      'spot.answer': 'Risposta',
+      'spot.metres': 'Prima dell’apice',
+      'spot.points': 'Punti',
+      'spot.again': '🔄 Gioca ancora',
+      'spot.close': 'Guida libera',
+
+      'drill.title': '🛑 Prova di Frenata',
+      'drill.hint': 'Fino a 50 punti per frenare alla distanza di frenata della curva e 50 per uscirne alla sua velocità di uscita.',
+      'drill.result': '🛑 {points} punti — frenata a {braking} m, uscita a {exit} km/h',
+      'drill.crashed': '💥 Caduta — nessun punto',
+      'drill.session': '{runs} prove in questa sessione, migliore {best} punti',
+      'drill.noRuns': 'Nessuna prova tua in questa sessione.',
+      'drill.corner': 'Curva',
+      'drill.runs': 'Prove',
+      'drill.best': 'Migliore',
+      'drill.bestRun': '{points} ({braking} m, {exit} km/h)',
+      'drill.average': 'Media',
+      'drill.last': 'Ultima',
+      'drill.again': '🔄 Ripeti',
+      'drill.close': 'Guida libera',
+
+      'telemetry.title': '📈 Telemetria ultimo giro',
+      'telemetry.empty': 'Completa un giro per vederne la telemetria.',
+      'telemetry.legend': 'Bianco: la tua velocità · tacche oro / verdi: velocità di riferimento in entrata / uscita · tratteggio rosso: punto di frenata di riferimento',
+      'telemetry.corner': 'Curva',
+      'telemetry.brakePoint': 'Punto di frenata',
+      'telemetry.entry': 'Entrata km/h',
+      'telemetry.min': 'Min km/h',
+      'telemetry.exit': 'Uscita km/h',
+      'telemetry.early': '{m} m in anticipo',
+      'telemetry.late': '{m} m in ritardo',
+      'telemetry.onPoint': 'nel punto giusto',
+      'telemetry.noBrake': 'nessuna frenata',
+
+      'controls.title': '🎮 Comandi',
+      'controls.throttle': 'Gas',
+      'controls.brake': 'Freno',
+      'controls.left': 'Sterza a sinistra',
+      'controls.right': 'Sterza a destra',
+      'controls.shiftUp': 'Marcia su',
+      'controls.shiftDown': 'Marcia giù',
+      'controls.demo': 'Pilota demo',
+      'controls.camera': 'Cambia telecamera',
+      'controls.replay': 'Replay istantaneo',
+      'controls.press': 'Premi un tasto…',
+      'controls.reset': 'Ripristina tasti',
+      'controls.hint': 'Gamepad: RT gas · LT freno · stick sinistro sterza · RB / LB marcia su / giù · Y pilota demo · X telecamera · B replay',
+      'controls.touch': 'Touch: trascina sulla metà sinistra per sterzare, scorri sulla metà destra — su gas, giù freno',
+
+      'editor.title': '✏ Editor curve',
+      'editor.hint': 'Clicca un marcatore per modificare la curva, trascinalo lungo la pista per spostarla.',
+      'editor.field.name': 'Nome',
+      'editor.field.direction': 'Direzione',
+      'editor.field.entrySpeed': 'Velocità di entrata (km/h)',
+      'editor.field.exitSpeed': 'Velocità di uscita (km/h)',
+      'editor.field.gear': 'Marcia',
+      'editor.field.brakingDifficulty': 'Difficoltà frenata (0–10)',
+      'editor.field.brakingDistance': 'Spazio di frenata (m)',
+      'editor.field.decelG': 'Decelerazione (G)',
+      'editor.field.character': 'Carattere',
+      'editor.field.tip': 'Nota del pilota',
+      'editor.field.landmark': 'Riferimento',
+      'editor.valid': '✅ Tutte le curve sono valide',
+      'editor.moved': '✅ Tutte le curve sono valide — le curve spostate si salvano solo nel pacchetto circuito',
+      'editor.invalid': '⚠ Correggi {corners} prima di esportare',
+      'editor.exportCorners': '⬇ corners.json',
+      'editor.exportPackage': '⬇ Pacchetto circuito',
+      'editor.reset': 'Annulla modifiche',
+
+      'schema.required': '{field} è obbligatorio',
+      'schema.number': '{field} deve essere un numero',
+      'schema.integer': '{field} deve essere un numero intero',
+      'schema.range': '{field} deve essere tra {min} e {max}',
+      'schema.enum': '{field} deve essere {values}',
+      'schema.text': '{field} richiede un testo in inglese',
+      'schema.marker': '{field} deve essere un oggetto come { "kind": "board" }',
+      'schema.color': '{field} deve essere un colore come #ff7a1a',
+      'schema.notObject': 'La voce della curva non è un oggetto',
+      'schema.braking': 'le curve con frenata {min}+ richiedono entrySpeed ≥ exitSpeed',
+      'schema.notArray': 'I dati delle curve devono essere una lista',
+      'schema.duplicate': 'number è usato più di una volta',
+      'schema.unknown': 'number non corrisponde a nessuna curva del circuito',
+      'schema.missing': 'curva mancante',
+      'schema.count': 'Attese {expected} curve, trovate {found}',
+
+      'data.invalid': '⚠ {file} non ha superato la validazione — uso i dati delle curve integrati',
+      'data.unreadable': '⚠ impossibile leggere {file} ({message}) — uso i dati delle curve integrati',
+
+      'hud.kmh': 'km/h',
+      'hud.gear': 'MARCIA',
+      'hud.gearAuto': 'AUTO',
+      'hud.delta': 'Δ RECORD',
+      'hud.lap': 'GIRO',
+      'hud.last': 'ULTIMO',
+      'hud.best': 'RECORD',
+      'hud.crash': 'CADUTA',
+      'hud.runningWide': 'FUORI TRAIETTORIA',
+      'hud.position': 'POS',
+      'hud.slipstream': 'SCIA',
+      'hud.toApex': 'T? · {metres} m ALL’APICE',
+      'hud.drillRun': 'PROVA {run}',
+      'hud.drillTarget': 'FRENA A {braking} m · ESCI A {exit} km/h',
+      'hud.drillResult': '{points} PT · FRENATA A {braking} m · USCITA {exit} km/h',
+      'hud.drillCrashed': 'CADUTA · 0 PT',
+      'hud.replay': '⏪ REPLAY',
+      'hud.trackside': 'TELECAMERA A BORDO PISTA T{corner}',
+    },
+  };
+
+  let locale = DEFAULT_LOCALE;
+
+  function detectLocale() {
+    let saved = null;
+    try { saved = localStorage.getItem(LOCALE_KEY); } catch (e) { /* private mode */ }
+    if (STRINGS[saved]) return saved;
+    const browser = (navigator.language || '').slice(0, 2);
+    return STRINGS[browser] ? browser : DEFAULT_LOCALE;
+  }
+
+  function setLocale(next) {
+    if (!STRINGS[next]) return;
+    locale = next;
+    document.documentElement.lang = next;
+    try { localStorage.setItem(LOCALE_KEY, next); } catch (e) { /* not persisted */ }
+  }
+
+  // UI string with {placeholders}; falls back to English, then to the key itself.
+  function t(key, params = {}) {
+    const str = STRINGS[locale][key] ?? STRINGS[DEFAULT_LOCALE][key] ?? key;
+    return str.replace(/\{(\w+)\}/g, (m, name) => (name in params ? params[name] : m));
+  }
+
+  // Localized data field: plain strings pass through unchanged.
+  function text(field) {
+    if (field == null || typeof field === 'string') return field ?? '';
+    return field[locale] ?? field[DEFAULT_LOCALE] ?? Object.values(field)[0] ?? '';
+  }
+
+  // Fills every element carrying data-i18n="key" with its string.
+  function applyStatic(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n); });
+  }
+
+  return {
+    t,
+    text,
+    setLocale,
+    applyStatic,
+    detectLocale,
+    locales: Object.keys(STRINGS),
+    get locale() { return locale; },
+  };
+})();
+
+window.I18n = I18n;
@@ -0,0 +1,296 @@
+/**
+ * input.js — Rider Input Layer
+ * Buriram GP MotoGP Circuit Simulator
+ *
+ * Merges keyboard, gamepad and touch into one analog control frame:
+ *   { throttle: 0–1, brake: 0–1, steer: -1 (left) … 1 (right) }
+ * The engine reads a frame per update and never touches raw events; gear changes,
+ * like the other one-shot actions, arrive as callbacks.
+ * Keyboard bindings are remappable and stored in localStorage.
+ */
+
+'use strict';
+
+const RideInput = (() => {
+
+  const BINDINGS_KEY = 'buriramgp.keys';
+  const ACTIONS = ['throttle', 'brake', 'left', 'right', 'shiftUp', 'shiftDown', 'demo', 'camera', 'replay'];
+  const DEFAULT_BINDINGS = {
+    throttle: 'ArrowUp',
+    brake: 'ArrowDown',
+    left: 'ArrowLeft',
+    right: 'ArrowRight',
+    shiftUp: 'a',
+    shiftDown: 'z',
+    demo: 'd',
+    camera: 'c',
+    replay: 'r',
+  };
+  // One-shot actions: a press calls the named callback on RideInput instead of feeding the frame
+  const TRIGGERS = {
+    shiftUp: 'onShiftUp',
+    shiftDown: 'onShiftDown',
+    demo: 'onDemoToggle',
+    camera: 'onCameraChange',
+    replay: 'onReplay',
+  };
+  // Keys the app itself uses; they cannot be bound
+  const RESERVED_KEYS = ['Escape'];
+
+  // Standard Gamepad mapping (https://w3c.github.io/gamepad/#remapping)
+  const PAD_THROTTLE = 7;          // right trigger
+  const PAD_BRAKE = 6;             // left trigger
+  const PAD_TRIGGERS = {
+    shiftUp: 5,                    // right bumper, the paddles
+    shiftDown: 4,                  // left bumper
+    demo: 3,                       // Y / triangle
+    camera: 2,                     // X / square
+    replay: 1,                     // B / circle
+  };
+  const PAD_STEER_AXIS = 0;        // left stick, horizontal
+  const PAD_DEADZONE = 0.15;
+
+  // Touch: left half is a virtual stick, right half is a throttle/brake slider
+  const TOUCH_STEER_RANGE = 0.15;  // fraction of canvas width for full lock
+  const TOUCH_PEDAL_RANGE = 0.35;  // fraction of canvas height for full throttle/brake
+
+  const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+  // Keys are compared case-insensitively so Shift or Caps Lock doesn't unbind letters.
+  function normaliseKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+  }
+
+  function loadBindings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(BINDINGS_KEY));
+      if (saved && typeof saved === 'object') {
+        // Sets saved before an action existed pick up its default key
+        const bindings = { ...DEFAULT_BINDINGS };
+        ACTIONS.forEach(a => { if (typeof saved[a] === 'string') bindings[a] = saved[a]; });
+        return bindings;
+      }
+    } catch (e) {
+      console.warn('Key bindings unreadable, using defaults:', e);
+    }
+    return { ...DEFAULT_BINDINGS };
+  }
+
+  function saveBindings(bindings) {
+    try {
+      localStorage.setItem(BINDINGS_KEY, JSON.stringify(bindings));
+    } catch (e) {
+      console.warn('Key bindings not saved:', e);
+    }
+  }
+
+  // ─── Sources ────────────────────────────────────────────────────────────────
+
+  class KeyboardSource {
+    constructor(bindings) {
+      this.bindings = bindings;
+      this.down = new Set();
+    }
+
+    keydown(key) { this.down.add(normaliseKey(key)); }
+    keyup(key) { this.down.delete(normaliseKey(key)); }
+
+    pressed(action) { return this.down.has(normaliseKey(this.bindings[action])); }
+
+    read() {
+      return {
+        throttle: this.pressed('throttle') ? 1 : 0,
+        brake: this.pressed('brake') ? 1 : 0,
+        steer: (this.pressed('right') ? 1 : 0) - (this.pressed('left') ? 1 : 0),
+      };
+    }
+
+    clear() { this.down.clear(); }
+  }
+
+  class GamepadSource {
+    constructor() {
+      this.held = {};              // trigger buttons down at the last read
+    }
+
+    pad() {
+      if (!navigator.getGamepads) return null;
+      return [...navigator.getGamepads()].find(p => p && p.connected) || null;
+    }
+
+    // Returns the frame plus the trigger actions whose buttons were pressed since the last read.
+    read() {
+      const pad = this.pad();
+      if (!pad) return null;
+      const button = i => (pad.buttons[i] ? pad.buttons[i].value : 0);
+      const axis = pad.axes[PAD_STEER_AXIS] || 0;
+
+      const pressed = Object.keys(PAD_TRIGGERS).filter(action => {
+        const down = button(PAD_TRIGGERS[action]) > 0.5;
+        const fresh = down && !this.held[action];
+        this.held[action] = down;
+        return fresh;
+      });
+
+      return {
+        throttle: button(PAD_THROTTLE),
+        brake: button(PAD_BRAKE),
+        steer: Math.abs(axis) < PAD_DEADZONE ? 0 : (axis - Math.sign(axis) * PAD_DEADZONE) / (1 - PAD_DEADZONE),
+        pressed,
+      };
+    }
+  }
+
+  class TouchSource {
+    constructor(canvas) {
+      this.canvas = canvas;
+      this.steerTouch = null;      // { id, startX, x }
+      this.pedalTouch = null;      // { id, y }
+      this.used = false;           // set on first touch so the HUD can show the zones
+    }
+
+    handle(e) {
+      e.preventDefault();
+      const rect = this.canvas.getBoundingClientRect();
+      if (e.type === 'touchstart') this.used = true;
+
+      for (const t of e.changedTouches) {
+        const x = (t.clientX - rect.left) / rect.width;
+        const y = (t.clientY - rect.top) / rect.height;
+        const ended = e.type === 'touchend' || e.type === 'touchcancel';
+
+        if (this.steerTouch && this.steerTouch.id === t.identifier) {
+          this.steerTouch = ended ? null : { ...this.steerTouch, x };
+        } else if (this.pedalTouch && this.pedalTouch.id === t.identifier) {
+          this.pedalTouch = ended ? null : { id: t.identifier, y };
+        } else if (e.type === 'touchstart') {
+          if (x < 0.5) this.steerTouch = { id: t.identifier, startX: x, x };
+          else this.pedalTouch = { id: t.identifier, y };
+        }
+      }
+    }
+
+    read() {
+      const frame = { throttle: 0, brake: 0, steer: 0 };
+      if (this.steerTouch) {
+        frame.steer = clamp((this.steerTouch.x - this.steerTouch.startX) / TOUCH_STEER_RANGE, -1, 1);
+      }
+      if (this.pedalTouch) {
+        // Above the middle of the screen is throttle, below is brake
+        const pedal = clamp((0.5 - this.pedalTouch.y) / TOUCH_PEDAL_RANGE, -1, 1);
+        frame.throttle = Math.max(pedal, 0);
+        frame.brake = Math.max(-pedal, 0);
+      }
+      return frame;
+    }
+
+    clear() {
+      this.steerTouch = null;
+      this.pedalTouch = null;
+    }
+  }
+
+  // ─── Combined Input ─────────────────────────────────────────────────────────
+
+  class RideInput {
+    constructor(canvas) {
+      this.keyboard = new KeyboardSource(loadBindings());
+      this.gamepad = new GamepadSource();
+      this.touch = new TouchSource(canvas);
+      this.canvas = canvas;
+      this.onShiftUp = null;
+      this.onShiftDown = null;
+      this.onDemoToggle = null;
+      this.onCameraChange = null;
+      this.onReplay = null;
+      this.attached = false;
+
+      this.onKeyDown = e => {
+        this.keyboard.keydown(e.key);
+        if (e.repeat) return;
+        const action = Object.keys(TRIGGERS).find(a => normaliseKey(e.key) === normaliseKey(this.keyboard.bindings[a]));
+        if (action) this.trigger(action);
+      };
+      this.onKeyUp = e => this.keyboard.keyup(e.key);
+      this.onBlur = () => { this.keyboard.clear(); this.touch.clear(); };
+      this.onTouch = e => this.touch.handle(e);
+    }
+
+    attach() {
+      if (this.attached) return;
+      this.attached = true;
+      window.addEventListener('keydown', this.onKeyDown);
+      window.addEventListener('keyup', this.onKeyUp);
+      window.addEventListener('blur', this.onBlur);
+      ['touchstart', 'touchmove', 'touchend', 'touchcancel'].forEach(type =>
+        this.canvas.addEventListener(type, this.onTouch, { passive: false }));
+    }
+
+    detach() {
+      if (!this.attached) return;
+      this.attached = false;
+      window.removeEventListener('keydown', this.onKeyDown);
+      window.removeEventListener('keyup', this.onKeyUp);
+      window.removeEventListener('blur', this.onBlur);
+      ['touchstart', 'touchmove', 'touchend', 'touchcancel'].forEach(type =>
+        this.canvas.removeEventListener(type, this.onTouch));
+      this.onBlur();
+    }
+
+    // Strongest request per channel wins, so sources can be mixed freely.
+    read() {
+      const frames = [this.keyboard.read(), this.touch.read()];
+      const pad = this.gamepad.read();
+      if (pad) {
+        frames.push(pad);
+        pad.pressed.forEach(action => this.trigger(action));
+      }
+
+      const steer = frames.reduce((best, f) => (Math.abs(f.steer) > Math.abs(best) ? f.steer : best), 0);
+      return {
+        throttle: Math.max(...frames.map(f => f.throttle)),
+        brake: Math.max(...frames.map(f => f.brake)),
+        steer,
+      };
+    }
+
+    trigger(action) {
+      const callback = this[TRIGGERS[action]];
+      if (callback) callback();
+    }
+
+    // Picks up bindings changed while the engine is running.
+    reloadBindings() {
+      this.keyboard.bindings = loadBindings();
+    }
+
+    // ─── Remapping ────────────────────────────────────────────────────────────
+
+    static bindings() {
+      return loadBindings();
+    }
+
+    // Binds a key to an action; a key already used by another action swaps with it.
+    static bind(action, key) {
+      if (!ACTIONS.includes(action)) throw new Error(`Unknown action "${action}"`);
+      if (RESERVED_KEYS.includes(key)) throw new Error(`"${key}" is reserved`);
+      const bindings = loadBindings();
+      const taken = ACTIONS.find(a => normaliseKey(bindings[a]) === normaliseKey(key));
+      if (taken && taken !== action) bindings[taken] = bindings[action];
+      bindings[action] = key;
+      saveBindings(bindings);
+      return bindings;
+    }
+
+    static resetBindings() {
+      saveBindings(DEFAULT_BINDINGS);
+      return { ...DEFAULT_BINDINGS };
+    }
+  }
+
+  RideInput.ACTIONS = ACTIONS;
+
+  return RideInput;
+})();
+
+window.RideInput = RideInput;
@@ -0,0 +1,408 @@
+/**
+ * physics.js — Ride 3D Bike Physics
+ * Buriram GP MotoGP Circuit Simulator
+ *
+ * The riding model of Ride 3D in real units: speed in m/s, rates per second,
+ * advanced in fixed STEPs, driven through a six-speed gearbox. Corner speed
+ * limits and the demo rider's speed profile and racing line come from the
+ * corner data; rivals ride the same profile.
+ * No DOM here: ride3d.js drives it once per STEP, and the tests in test/ run it
+ * under Node. Works on the segments of track.js.
+ */
+
+'use strict';
+
+const RidePhysics = (() => {
+
+  const { SEGMENT_LENGTH, SEGMENT_METRES, UNITS_PER_METRE, CURVE_SCALE, BASE_DECEL_G } = RideTrack;
+
+  // ─── Units & Dynamics ───────────────────────────────────────────────────────
+  const STEP = 1 / 120;            // seconds per physics step
+  const G = 9.81;
+  const KMH_PER_MS = 3.6;
+  const MAX_SPEED = 340 / KMH_PER_MS;
+  const ACCELERATION = 10;         // m/s² from a standstill, fading to 0 at top speed
+  const BRAKING = 1.2 * G;         // m/s² at full lever, the BASE_DECEL_G of an ordinary stretch
+  const DECEL = 2.5;               // m/s² off the throttle: engine braking and drag
+  const STEER_RATE = 1.5;          // road half-widths (x) per second at full lock and top speed
+  const CENTRIFUGAL = 0.6;         // outward drift per second per unit of curve at top speed
+  const OFFROAD_DRAG = 2.5;        // off the tarmac speed decays as e^(-drag·t)
+  const GRAVEL_DRAG = 6;
+
+  // ─── Gearbox ────────────────────────────────────────────────────────────────
+  // Six ratios, given as the speed each gear reaches at the rev limiter. The automatic
+  // box (and the demo rider) changes up at AUTO_UP and down once the revs fall below
+  // AUTO_DOWN, so long as the lower gear lands under AUTO_DOWN_MAX — with these ratios
+  // it holds each corner in the gear of the corner data.
+  const GEAR_SPEEDS = [110, 140, 195, 270, 305, 340].map(kmh => kmh / KMH_PER_MS);
+  const REV_LIMIT = 18000;         // rpm; the ignition cuts here
+  const IDLE_RPM = 4000;
+  const AUTO_UP = 0.97;            // shares of REV_LIMIT
+  const AUTO_DOWN = 0.7;
+  const AUTO_DOWN_MAX = 0.95;
+  const POWER_BAND = 0.65;         // full drive from this share of REV_LIMIT up
+  const LUGGING_DRIVE = 0.3;       // share of the drive left with the revs at nothing
+
+  // ─── Grip Model ─────────────────────────────────────────────────────────────
+  // Each corner's entry/exit speeds from CORNERS_DATA cap the speed the tyres hold.
+  const GRIP_MARGIN = 1.1;         // riding at the data speed is always safe
+  const CRASH_RATIO = 1.25;        // this far over the limit the front tucks
+  const RUN_WIDE = 5;              // outward drift per second per unit of overspeed
+  // The track conditions' grip factor scales braking and, since lateral grip caps v²,
+  // corner speeds by its square root; the drift in corners grows as it falls.
+
+  // ─── Lean ───────────────────────────────────────────────────────────────────
+  const LEAN_MAX = 1.0;            // radians, about 57°
+  const LEAN_STEER = 0.35;         // extra lean at full steering lock
+  const LEAN_RATE = 10;            // per second; the lean closes on its target exponentially
+
+  // ─── Demo Rider ─────────────────────────────────────────────────────────────
+  // The demo rider follows a precomputed speed profile and racing line (buildRacingLine).
+  const AI_LINE_WIDTH = 0.7;       // how far across the road (x) the line uses
+  const AI_BRAKE_MARGIN = 0.9;     // share of the braking grip the profile plans with
+  const AI_STEER = 1.8;            // max lateral correction per second
+
+  // ─── Rivals ─────────────────────────────────────────────────────────────────
+  // AI opponents ride the same profile and line as the demo rider, scaled by skill.
+  const RIVALS = [
+    { name: 'K. Srisuk', color: '#f5a623', skill: 0.97 },
+    { name: 'L. Bianchi', color: '#e8003d', skill: 0.95 },
+    { name: 'J. Moreno', color: '#4a90e2', skill: 0.93 },
+    { name: 'T. Hayashi', color: '#b46bff', skill: 0.91 },
+    { name: 'M. Keller', color: '#f0f0f0', skill: 0.88 },
+  ];
+  const GRID_GAP = 4;              // segments between grid slots
+  const SLIPSTREAM_RANGE = 8;      // segments behind a bike that get the tow
+  const SLIPSTREAM_WIDTH = 0.3;    // lateral window (x) of the tow
+  const SLIPSTREAM_BONUS = 0.06;   // extra top speed and drive in the tow
+  const BIKE_LENGTH = 80;          // engine units; closer than this with overlapping x is contact
+  const BIKE_WIDTH = 0.2;
+  const BUMP_SPEED = 0.9;          // the bike behind drops to this share of the other's speed
+  const BUMP_PUSH = 3;             // lateral shove per second of contact
+  const PASS_RANGE = 3;            // segments to a slower bike before a rival pulls out
+  const PASS_OFFSET = 0.5;         // how far off the line a rival moves to pass
+  const LINE_RETURN = 1.2;         // rate a rival eases back onto the line, per second
+  const LINE_LIMIT = 0.9;          // rivals never leave the tarmac on purpose
+
+  // ─── Corner Limits ──────────────────────────────────────────────────────────
+
+  // Safe speed (m/s) at fraction t through a corner: entry speed at the
+  // turn-in, the slower of entry/exit at the apex, exit speed at the exit.
+  function cornerSpeedLimit(corner, t, grip = 1) {
+    const apex = Math.min(corner.entrySpeed, corner.exitSpeed);
+    const edge = t < 0.5 ? corner.entrySpeed : corner.exitSpeed;
+    const kmh = apex + (edge - apex) * (1 - Math.sin(t * Math.PI));
+    return kmh / KMH_PER_MS * GRIP_MARGIN * Math.sqrt(grip);
+  }
+
+  // Corner speed limits and the demo rider's profile for the track's grip.
+  function applyGrip(segments, corners, grip) {
+    segments.forEach(seg => {
+      const corner = seg.cornerIndex && corners.find(c => c.number === seg.cornerIndex);
+      seg.maxSpeed = corner ? cornerSpeedLimit(corner, seg.cornerT, grip) : Infinity;
+    });
+    buildRacingLine(segments, corners, grip);
+  }
+
+  // ─── Racing Line ────────────────────────────────────────────────────────────
+  // Sets seg.aiSpeed (m/s) and seg.aiX for the demo rider.
+  //  • Speed: apex speed from turn-in to the apex, the corner's exit speed at the exit.
+  //    Over each braking zone it falls from entrySpeed to the apex speed with constant
+  //    deceleration (v² linear in distance), then a backward pass caps every segment
+  //    by what the brakes can shed before the next one.
+  //    Less grip brakes earlier, over a zone stretched by 1/grip, to a slower apex.
+  //  • Line: outside at turn-in, inside at the apex, outside at the exit, eased
+  //    across the straights between corners.
+
+  function buildRacingLine(segments, corners, grip = 1) {
+    const n = segments.length;
+    const byNumber = {};
+    corners.forEach(c => { byNumber[c.number] = c; });
+    const apexKmh = c => Math.min(c.entrySpeed, c.exitSpeed);
+
+    segments.forEach(seg => {
+      const c = seg.cornerIndex && byNumber[seg.cornerIndex];
+      seg.aiSpeed = c ? cornerSpeedLimit(c, Math.max(seg.cornerT, 0.5), grip) / GRIP_MARGIN : MAX_SPEED;
+    });
+
+    // Braking zones from the data: entrySpeed at the braking point, apex speed at turn-in
+    corners.forEach(c => {
+      const turnIn = segments.findIndex(seg => seg.cornerIndex === c.number);
+      if (turnIn < 0) return;
+      const zoneLen = Math.max(Math.round(c.brakingDistance / grip / SEGMENT_METRES), 1);
+      const v0 = c.entrySpeed / KMH_PER_MS, v1 = apexKmh(c) / KMH_PER_MS * Math.sqrt(grip);
+      for (let i = 1; i <= zoneLen; i++) {
+        const seg = segments[(turnIn - i + n) % n];
+        if (seg.cornerIndex) break;
+        const v = Math.sqrt(v1 * v1 + (v0 * v0 - v1 * v1) * (i / zoneLen));
+        seg.aiSpeed = Math.min(seg.aiSpeed, v);
+      }
+    });
+
+    // What the brakes can actually do: v² = v_next² + 2·decel·distance, twice round for the wrap
+    for (let pass = 0; pass < 2; pass++) {
+      for (let i = n - 1; i >= 0; i--) {
+        const seg = segments[i], next = segments[(i + 1) % n];
+        const decel = BRAKING * seg.brakeG / BASE_DECEL_G * grip * AI_BRAKE_MARGIN;
+        seg.aiSpeed = Math.min(seg.aiSpeed, Math.sqrt(next.aiSpeed * next.aiSpeed + 2 * decel * SEGMENT_METRES));
+      }
+    }
+
+    // Racing line keypoints: [segment index, x] at turn-in, apex and exit of every corner
+    const keys = [];
+    corners.forEach(c => {
+      const side = c.direction === 'right' ? 1 : -1;
+      const idx = segments.map((seg, i) => (seg.cornerIndex === c.number ? i : -1)).filter(i => i >= 0);
+      if (!idx.length) return;
+      keys.push([idx[0], -side * AI_LINE_WIDTH]);
+      keys.push([idx[Math.floor(idx.length / 2)], side * AI_LINE_WIDTH]);
+      keys.push([idx[idx.length - 1], -side * AI_LINE_WIDTH]);
+    });
+    keys.sort((a, b) => a[0] - b[0]);
+    if (!keys.length) {
+      segments.forEach(seg => { seg.aiX = 0; });
+      return;
+    }
+
+    const ease = f => f * f * (3 - 2 * f);
+    keys.forEach((key, k) => {
+      const next = keys[(k + 1) % keys.length];
+      const span = ((next[0] - key[0] + n) % n) || n;
+      for (let j = 0; j < span; j++) {
+        segments[(key[0] + j) % n].aiX = key[1] + (next[1] - key[1]) * ease(j / span);
+      }
+    });
+  }
+
+  // ─── Riding ─────────────────────────────────────────────────────────────────
+
+  // Lean angle (radians, + = right) that holds a bike at this speed through a segment's curve.
+  function leanFor(curve, speed) {
+    const lean = Math.atan(speed * speed * (curve / CURVE_SCALE) / (SEGMENT_METRES * G));
+    return Math.max(-LEAN_MAX, Math.min(LEAN_MAX, lean));
+  }
+
+  // Full-throttle acceleration (m/s²): drive falls away as the bike nears its top speed.
+  function driveAccel(speed, topSpeed, drive = 1) {
+    return ACCELERATION * drive * Math.max(1 - (speed / topSpeed) ** 2, 0);
+  }
+
+  // Throttle/brake that take a bike from speed to target in one step of dt, as far as it can.
+  // accel is its full-throttle acceleration at this speed.
+  function pedalsFor(target, speed, braking, accel, dt) {
+    const diff = target - speed;
+    if (diff < -DECEL * dt) return { throttle: 0, brake: Math.min(-diff / (braking * dt), 1), steer: 0 };
+    return { throttle: Math.max(0, Math.min((diff + DECEL * dt) / ((accel + DECEL) * dt), 1)), brake: 0, steer: 0 };
+  }
+
+  // Analog pedals: part throttle holds speed and a light squeeze only trims it.
+  function applyPedals(speed, c, braking, topSpeed, drive, dt) {
+    if (c.brake > 0) return Math.max(speed - braking * c.brake * dt, 0);
+    const accel = driveAccel(speed, topSpeed, drive) * c.throttle - DECEL * (1 - c.throttle);
+    return Math.min(Math.max(speed + accel * dt, 0), topSpeed);
+  }
+
+  // ─── Transmission ───────────────────────────────────────────────────────────
+
+  function rpmFor(speed, gear) {
+    return Math.max(IDLE_RPM, speed / GEAR_SPEEDS[gear - 1] * REV_LIMIT);
+  }
+
+  // The gear the automatic box would pick at this speed, for a bike dropped onto the track.
+  function gearFor(speed) {
+    const gear = GEAR_SPEEDS.findIndex(top => speed < top * AUTO_UP);
+    return gear < 0 ? GEAR_SPEEDS.length : gear + 1;
+  }
+
+  // Share of the drive at these revs; 1st pulls from a standstill on the clutch.
+  function torqueShare(gear, rpm) {
+    if (gear === 1) return 1;
+    return Math.min(1, LUGGING_DRIVE + (1 - LUGGING_DRIVE) * rpm / REV_LIMIT / POWER_BAND);
+  }
+
+  // Manual change of one gear up (dir 1) or down (-1) on s ({ gear, speed, … }); false when
+  // there is no such gear, or when changing down would take the engine past the limiter.
+  function shift(s, dir) {
+    const gear = s.gear + dir;
+    if (gear < 1 || gear > GEAR_SPEEDS.length) return false;
+    if (dir < 0 && s.speed > GEAR_SPEEDS[gear - 1]) return false;
+    s.gear = gear;
+    s.rpm = rpmFor(s.speed, gear);
+    return true;
+  }
+
+  function autoShift(s) {
+    const share = s.speed / GEAR_SPEEDS[s.gear - 1];
+    if (share >= AUTO_UP && s.gear < GEAR_SPEEDS.length) s.gear++;
+    else if (share < AUTO_DOWN && s.gear > 1 && s.speed / GEAR_SPEEDS[s.gear - 2] < AUTO_DOWN_MAX) s.gear--;
+  }
+
+  // ─── Rival Helpers ──────────────────────────────────────────────────────────
+
+  // Grid slots ahead of the player, alternating sides, slowest rider nearest.
+  function createRivals(trackLength) {
+    return [...RIVALS].reverse().map((rival, i) => ({
+      ...rival,
+      position: ((i + 1) * GRID_GAP * SEGMENT_LENGTH) % trackLength,
+      x: i % 2 ? 0.4 : -0.4,
+      speed: 0,
+      lap: 0,
+      lineOffset: 0,
+    }));
+  }
+
+  // Race grid behind the player on pole at the line, fastest rider nearest the front.
+  // Lap -1 until they cross the line, so race positions count from the start.
+  function gridRivals(trackLength) {
+    return RIVALS.map((rival, i) => ({
+      ...rival,
+      position: trackLength - (i + 1) * GRID_GAP * SEGMENT_LENGTH,
+      x: i % 2 ? -0.4 : 0.4,
+      speed: 0,
+      lap: -1,
+      lineOffset: 0,
+    }));
+  }
+
+  // Distance from bike a forward to bike b along the lap.
+  function gapTo(a, b, trackLength) {
+    return ((b.position - a.position) % trackLength + trackLength) % trackLength;
+  }
+
+  function inSlipstream(bike, others, trackLength) {
+    return others.some(o => o !== bike &&
+      gapTo(bike, o, trackLength) < SLIPSTREAM_RANGE * SEGMENT_LENGTH &&
+      Math.abs(o.x - bike.x) < SLIPSTREAM_WIDTH);
+  }
+
+  // The bike behind loses speed and both are shoved apart.
+  function resolveContacts(bikes, trackLength, dt) {
+    bikes.forEach(a => bikes.forEach(b => {
+      if (a === b || gapTo(a, b, trackLength) > BIKE_LENGTH || Math.abs(a.x - b.x) > BIKE_WIDTH) return;
+      a.speed = Math.min(a.speed, b.speed * BUMP_SPEED);
+      const side = Math.sign(a.x - b.x) || 1;
+      a.x += side * BUMP_PUSH * dt;
+      b.x -= side * BUMP_PUSH * dt;
+    }));
+  }
+
+  // ─── Stepping ───────────────────────────────────────────────────────────────
+
+  // Lowest profile speed over the segments a bike will cross in a step of dt.
+  function profileSpeed(segments, segIndex, speed, dt) {
+    const reach = Math.ceil(speed * dt / SEGMENT_METRES) + 1;
+    let target = Infinity;
+    for (let i = 0; i <= reach; i++) {
+      target = Math.min(target, segments[(segIndex + i) % segments.length].aiSpeed);
+    }
+    return target;
+  }
+
+  // One step of the rider's bike, updating s ({ position, speed, x, lean, gear, rpm, demo,
+  // autoShift, trackLength, … }) in place: gear, pedals and steering from c (or the profile
+  // and racing line when s.demo), lean, corner drift, the grip limit and the run-off, then
+  // the move along the track. The demo rider always shifts automatically.
+  // Returns { controls, segment, slipstream, crashed, offTrack, lapped }; a bike that
+  // crashes is left where it was for the caller to deal with.
+  function stepRider(s, c, segments, rivals, grip, dt) {
+    const segIndex = Math.floor(s.position / SEGMENT_LENGTH) % segments.length;
+    const seg = segments[segIndex];
+    const braking = BRAKING * seg.brakeG / BASE_DECEL_G * grip;
+    const slipstream = inSlipstream(s, rivals, s.trackLength);
+    const tow = slipstream ? 1 + SLIPSTREAM_BONUS : 1;
+
+    // Demo rider: pedals from the speed profile, holds the racing line directly
+    if (s.demo) {
+      const accel = driveAccel(s.speed, MAX_SPEED * tow, tow);
+      c = pedalsFor(profileSpeed(segments, segIndex, s.speed, dt), s.speed, braking, accel, dt);
+      s.x += Math.max(-AI_STEER * dt, Math.min(AI_STEER * dt, seg.aiX - s.x));
+    } else {
+      s.x += STEER_RATE * (s.speed / MAX_SPEED) * c.steer * dt;
+    }
+
+    // Gearbox: drive follows the revs, and the limiter cuts the throttle at the top of the gear
+    if (s.demo || s.autoShift) autoShift(s);
+    s.limiter = rpmFor(s.speed, s.gear) >= REV_LIMIT;
+    const drive = tow * torqueShare(s.gear, rpmFor(s.speed, s.gear));
+    s.speed = applyPedals(s.speed, s.limiter ? { ...c, throttle: 0 } : c, braking, MAX_SPEED * tow, drive, dt);
+    s.rpm = rpmFor(s.speed, s.gear);
+
+    // Lean for the chase camera: what the curve takes at this speed, plus the rider's steering
+    const lean = Math.max(-LEAN_MAX, Math.min(LEAN_MAX, leanFor(seg.curve, s.speed) + c.steer * LEAN_STEER));
+    s.lean += (lean - s.lean) * (1 - Math.exp(-LEAN_RATE * dt));
+
+    // Centrifugal force
+    s.x -= seg.curve * CENTRIFUGAL / grip * (s.speed / MAX_SPEED) * dt;
+
+    // Grip: over the corner's safe speed the bike runs wide, well over it crashes
+    const overspeed = s.speed / seg.maxSpeed;
+    s.runningWide = overspeed > 1;
+    if (overspeed > CRASH_RATIO) {
+      return { controls: c, segment: seg, slipstream, crashed: true, offTrack: false, lapped: false };
+    }
+    if (s.runningWide) s.x -= Math.sign(seg.curve) * (overspeed - 1) * RUN_WIDE * dt;
+
+    // Off-road penalty: gravel traps on corner exits bite harder than the grass verges
+    const offTrack = Math.abs(s.x) > 1.0;
+    if (offTrack) s.speed *= Math.exp(-(seg.surface === 'gravel' ? GRAVEL_DRAG : OFFROAD_DRAG) * dt);
+
+    s.position += s.speed * dt * UNITS_PER_METRE;
+    const lapped = s.position > s.trackLength;
+    if (lapped) s.position -= s.trackLength;
+
+    return { controls: c, segment: seg, slipstream, crashed: false, offTrack, lapped };
+  }
+
+  // Rivals ride the profile scaled by skill, pull out to pass slower bikes, draft and
+  // bump. player is left out (null) while it lies crashed.
+  function stepRivals(rivals, player, segments, grip, dt) {
+    if (!rivals.length) return;
+    const L = segments.length * SEGMENT_LENGTH;
+    const bikes = player ? [...rivals, player] : [...rivals];
+
+    rivals.forEach(r => {
+      const segIndex = Math.floor(r.position / SEGMENT_LENGTH) % segments.length;
+      const seg = segments[segIndex];
+      const braking = BRAKING * seg.brakeG / BASE_DECEL_G * grip;
+
+      const blocker = bikes.find(o => o !== r && o.speed < r.speed &&
+        gapTo(r, o, L) < PASS_RANGE * SEGMENT_LENGTH && Math.abs(o.x - r.x) < SLIPSTREAM_WIDTH);
+      if (blocker) r.lineOffset = (blocker.x > r.x ? -1 : 1) * PASS_OFFSET;
+      else r.lineOffset *= Math.exp(-LINE_RETURN * dt);
+      const targetX = Math.max(-LINE_LIMIT, Math.min(LINE_LIMIT, seg.aiX + r.lineOffset));
+      r.x += Math.max(-AI_STEER * dt, Math.min(AI_STEER * dt, targetX - r.x));
+
+      const tow = inSlipstream(r, bikes, L) ? 1 + SLIPSTREAM_BONUS : 1;
+      const topSpeed = MAX_SPEED * r.skill * tow;
+      const accel = driveAccel(r.speed, topSpeed, tow);
+      const c = pedalsFor(profileSpeed(segments, segIndex, r.speed, dt) * r.skill, r.speed, braking, accel, dt);
+      r.speed = applyPedals(r.speed, c, braking, topSpeed, tow, dt);
+
+      r.position += r.speed * dt * UNITS_PER_METRE;
+      if (r.position >= L) { r.position -= L; r.lap++; }
+    });
+
+    resolveContacts(bikes, L, dt);
+  }
+
+  return {
+    STEP,
+    KMH_PER_MS,
+    MAX_SPEED,
+    LEAN_MAX,
+    GEARS: GEAR_SPEEDS.length,
+    REV_LIMIT,
+    cornerSpeedLimit,
+    applyGrip,
+    leanFor,
+    rpmFor,
+    gearFor,
+    shift,
+    createRivals,
+    gridRivals,
+    stepRider,
+    stepRivals,
+  };
+})();
+
+window.RidePhysics = RidePhysics;
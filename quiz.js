@@ -0,0 +1,236 @@
+/**
+ * quiz.js — Adaptive Quiz Engine
+ * Buriram GP MotoGP Circuit Simulator
+ *
+ * Builds quiz sessions from a circuit's corner data and keeps score. Which corner
+ * a question is about is weighted by the mistakes the user made on it before
+ * (stored per circuit in localStorage), and a corner missed in this session comes
+ * back a few rounds later. No DOM here: app.js renders the questions and passes
+ * the answers back.
+ */
+
+'use strict';
+
+const Quiz = (() => {
+
+  const MISTAKES_KEY = 'buriramgp.quiz';
+  // Question kinds of the map quiz, in the order the session setup lists them.
+  // 'spot' (name the corner from the Ride 3D view) is asked by the ride challenge.
+  const KINDS = ['map', 'choice', 'order', 'next', 'estimate', 'direction'];
+  const MAP_CLUES = ['name', 'speed', 'braking', 'character'];
+  const CHOICE_FACETS = ['exitSpeed', 'entrySpeed', 'gear'];
+  const CHOICE_OPTIONS = 4;
+  const ORDER_SIZE = 3;
+  const MISS_WEIGHT = 2;            // extra draw weight per remembered mistake
+  const MAX_MISSES = 5;
+  const REVIEW_GAP = 3;             // rounds before a missed corner is asked again
+  const ESTIMATE_TOLERANCE = 0.2;   // share of the reference braking distance
+  const ESTIMATE_MIN_TOLERANCE = 15; // metres
+
+  // ─── Mistake memory ───────────────────────────────────────────────────────
+  // { [corner number]: misses }; a correct answer takes one miss off again.
+  function loadMistakes(circuitId) {
+    try {
+      const saved = JSON.parse(localStorage.getItem(`${MISTAKES_KEY}.${circuitId}`));
+      return saved && typeof saved === 'object' ? saved : {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  function saveMistakes(circuitId, mistakes) {
+    try {
+      localStorage.setItem(`${MISTAKES_KEY}.${circuitId}`, JSON.stringify(mistakes));
+    } catch (e) { /* not persisted */ }
+  }
+
+  function clearMistakes(circuitId) {
+    try { localStorage.removeItem(`${MISTAKES_KEY}.${circuitId}`); } catch (e) { /* nothing stored */ }
+  }
+
+  // ─── Helpers ──────────────────────────────────────────────────────────────
+  function pick(list, random) {
+    return list[Math.floor(random() * list.length)];
+  }
+
+  function shuffle(list, random) {
+    const out = [...list];
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  }
+
+  function weightedPick(list, weight, random) {
+    const total = list.reduce((sum, item) => sum + weight(item), 0);
+    let r = random() * total;
+    for (const item of list) {
+      r -= weight(item);
+      if (r < 0) return item;
+    }
+    return list[list.length - 1];
+  }
+
+  // ─── Questions ────────────────────────────────────────────────────────────
+  // Every question names the corners it tests (`corners`) so a wrong answer can be
+  // booked against them; `answer` is compared with what app.js passes back.
+  const BUILDERS = {
+    // Clue about one corner, answered by clicking it on the map
+    map(corner, all, random) {
+      return { clue: pick(MAP_CLUES, random), answer: corner.number };
+    },
+
+    // One figure of a corner, picked from the figures of other corners
+    choice(corner, all, random) {
+      const facet = pick(CHOICE_FACETS, random);
+      const values = [...new Set(all.map(c => c[facet]).filter(v => v !== corner[facet]))];
+      const options = [corner[facet], ...shuffle(values, random).slice(0, CHOICE_OPTIONS - 1)];
+      return { facet, options: options.sort((a, b) => a - b), answer: corner[facet] };
+    },
+
+    // Hardest braking first; only corners with distinct difficulties so the order is unambiguous
+    order(corner, all, random) {
+      const others = shuffle(all.filter(c => c !== corner), random);
+      const set = [corner];
+      for (const c of others) {
+        if (set.length === ORDER_SIZE) break;
+        if (!set.some(s => s.brakingDifficulty === c.brakingDifficulty)) set.push(c);
+      }
+      if (set.length < ORDER_SIZE) return null;
+      return {
+        corners: shuffle(set, random),
+        answer: [...set].sort((a, b) => b.brakingDifficulty - a.brakingDifficulty).map(c => c.number),
+      };
+    },
+
+    // "Which corner comes after T8?" — asks for `corner`, clued by the one before it
+    next(corner, all) {
+      const i = all.indexOf(corner);
+      return { after: all[(i - 1 + all.length) % all.length], answer: corner.number };
+    },
+
+    estimate(corner) {
+      if (!(corner.brakingDistance > 0)) return null;
+      return {
+        answer: corner.brakingDistance,
+        tolerance: Math.max(Math.round(corner.brakingDistance * ESTIMATE_TOLERANCE), ESTIMATE_MIN_TOLERANCE),
+      };
+    },
+
+    direction(corner) {
+      return { answer: corner.direction };
+    },
+
+    spot(corner) {
+      return { answer: corner.number };
+    },
+  };
+
+  function isCorrect(question, answer) {
+    if (question.kind === 'estimate') return Math.abs(answer - question.answer) <= question.tolerance;
+    if (question.kind === 'order') return answer.length === question.answer.length && answer.every((n, i) => n === question.answer[i]);
+    return answer === question.answer;
+  }
+
+  // ─── Sessions ─────────────────────────────────────────────────────────────
+  // options: { rounds, kinds (from KINDS, or ['spot']), random (0–1 source, default Math.random) }
+  function createSession(corners, circuitId, options = {}) {
+    const kinds = (options.kinds || KINDS).filter(k => BUILDERS[k]);
+    return {
+      corners,
+      circuitId,
+      rounds: options.rounds || corners.length,
+      kinds: kinds.length ? kinds : KINDS,
+      random: options.random || Math.random,
+      mistakes: loadMistakes(circuitId),
+      round: 0,
+      score: 0,
+      asked: new Set(),
+      reviews: [],               // [{ number, round }] missed corners due again
+      question: null,
+      history: [],               // [{ kind, corners, correct }]
+    };
+  }
+
+  function chooseCorner(session) {
+    const due = session.reviews.findIndex(r => r.round <= session.round);
+    if (due >= 0) {
+      const [review] = session.reviews.splice(due, 1);
+      return session.corners.find(c => c.number === review.number);
+    }
+    // Every corner once before any repeats, favouring the ones missed before
+    let pool = session.corners.filter(c => !session.asked.has(c.number));
+    if (!pool.length) {
+      session.asked.clear();
+      pool = session.corners;
+    }
+    return weightedPick(pool, c => 1 + MISS_WEIGHT * (session.mistakes[c.number] || 0), session.random);
+  }
+
+  // The next question, or null once the session is over.
+  function nextQuestion(session) {
+    if (session.round >= session.rounds) {
+      session.question = null;
+      return null;
+    }
+    session.round++;
+    const corner = chooseCorner(session);
+    session.asked.add(corner.number);
+
+    // A kind that can't be asked about this corner (no braking zone to estimate…) falls through to the next
+    const kinds = shuffle(session.kinds, session.random);
+    for (const kind of kinds) {
+      const built = BUILDERS[kind](corner, session.corners, session.random);
+      if (built) {
+        session.question = { kind, corner, corners: [corner], ...built };
+        return session.question;
+      }
+    }
+    session.question = { kind: 'map', corner, corners: [corner], ...BUILDERS.map(corner, session.corners, session.random) };
+    return session.question;
+  }
+
+  // Scores the open question and books the result against its corners.
+  function answerQuestion(session, answer) {
+    const question = session.question;
+    if (!question) return null;
+    const correct = isCorrect(question, answer);
+    if (correct) session.score++;
+
+    question.corners.forEach(c => {
+      const misses = session.mistakes[c.number] || 0;
+      if (correct) {
+        if (misses > 1) session.mistakes[c.number] = misses - 1;
+        else delete session.mistakes[c.number];
+      } else {
+        session.mistakes[c.number] = Math.min(misses + 1, MAX_MISSES);
+      }
+    });
+    if (!correct) session.reviews.push({ number: question.corner.number, round: session.round + REVIEW_GAP });
+    saveMistakes(session.circuitId, session.mistakes);
+
+    session.history.push({ kind: question.kind, corners: question.corners.map(c => c.number), correct });
+    session.question = null;
+    return { correct, question };
+  }
+
+  // Corners missed in the session, most often first
+  function missedCorners(session) {
+    const counts = {};
+    session.history.filter(h => !h.correct).forEach(h => h.corners.forEach(n => { counts[n] = (counts[n] || 0) + 1; }));
+    return Object.keys(counts).map(Number).sort((a, b) => counts[b] - counts[a] || a - b);
+  }
+
+  return {
+    KINDS,
+    createSession,
+    nextQuestion,
+    answerQuestion,
+    missedCorners,
+    loadMistakes,
+    clearMistakes,
+  };
+})();
+
+window.Quiz = Quiz;
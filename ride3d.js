@@ -4,40 +4,162 @@
  * 
  * MAJOR OVERHAUL:
  * - Asset-based rendering (PNG sprites)
- * - Spatially accurate track model (Matches SVG/Real GP layout)
+ * - Track segments derived from the shared circuit model (circuit.js, track.js)
  * - Asphalt textures and skid marks
  * - Parallax background
  * - MotoGP-style HUD
+ * - Keyboard, gamepad and touch input (input.js)
+ * - Onboard, chase and top-down cameras; instant replay from trackside cameras
+ * - Day, dusk, night and wet conditions (palette, fog, rain, grip)
+ * - Fixed-timestep physics in m/s and seconds (physics.js), rendered interpolated between steps
+ * - Typed events for app.js (on/off) and a destroy() that tears the engine down
+ * - Six-speed gearbox, automatic or shifted by the rider, with its engine sound (sound.js)
+ * - Braking drill: one corner over and over, with distance boards and its braking marker
  */
 
 'use strict';
 
 const RideEngine = (() => {
 
+  // Segments come from track.js and the bikes are moved by physics.js
+  const { SEGMENT_LENGTH, SEGMENT_METRES, ROAD_WIDTH, STANDARD_WIDTH_M, RUMBLE_LENGTH } = RideTrack;
+  const { STEP, KMH_PER_MS, MAX_SPEED, REV_LIMIT, leanFor } = RidePhysics;
+
   // ─── Constants ──────────────────────────────────────────────────────────────
-  const SEGMENT_LENGTH = 200;       // proportional to speed
-  const ROAD_WIDTH = 2200;
-  const CAMERA_HEIGHT = 1400;
+  const CAMERA_HEIGHT = 1400;      // above the road surface under the rider
   const CAMERA_DEPTH = 0.84;
   const DRAW_DISTANCE = 300;       // increased for realism
-  const RUMBLE_LENGTH = 3;
-  const MAX_SPEED = 450;
-  const ACCELERATION = 3.2;
-  const BRAKING = 12;              // stronger for MotoGP feel
-  const DECEL = 2.5;
-  const CENTRIFUGAL = 0.35;
-  const OFFROAD_DECEL = 0.96;
+
+  // ─── Loop ───────────────────────────────────────────────────────────────────
+  // update() advances the world by one fixed STEP (physics.js); loop() runs as many steps
+  // as the frame time calls for and draws the bikes interpolated between the last two.
+  const MAX_FRAME_TIME = 0.25;     // longest frame simulated, so a backgrounded tab doesn't run minutes on return
+  const CRASH_TIME = 2;            // seconds lying in the gravel before the restart
+
+  // ─── Gearbox ────────────────────────────────────────────────────────────────
+  // Auto changes gear for the rider as the demo rider does; manual leaves it to the
+  // shift keys or paddles (input.js).
+  const GEARBOXES = ['auto', 'manual'];
+
+  // ─── Race ───────────────────────────────────────────────────────────────────
+  // Bikes are held on the grid while the five lights come on, then released when they go out.
+  const START_LIGHTS = 5;
+  const LIGHT_INTERVAL = 1;        // seconds between lights
+  const LIGHTS_HOLD_MIN = 0.5;     // random wait with all five lit, so the start can't be anticipated
+  const LIGHTS_HOLD_MAX = 2.5;
+
+  // ─── Spotting ───────────────────────────────────────────────────────────────
+  // "Name that corner": the bike is dropped this far before a corner's turn-in with the
+  // corner overlay hidden, and the rider has until the apex (middle of the corner) to name it.
+  const SPOT_APPROACH_M = 400;
+  const SPOT_APEX_T = 0.5;
+
+  // ─── Braking Drill ──────────────────────────────────────────────────────────
+  // One hard braking corner over and over: the bike is dropped DRILL_LEAD_M before the
+  // furthest distance board at the corner's entrySpeed, the braking point is where the lever
+  // goes past DRILL_BRAKE_ON (see updateDrill()) and the exit speed is taken as the bike
+  // leaves the corner.
+  // Both score against the corner data; DRILL_PAUSE later the bike is dropped back.
+  const DRILL_BRAKING = 8;         // corners this hard on the brakes can be drilled
+  const DRILL_BOARDS = [300, 200, 100]; // distance boards, metres before the turn-in
+  const DRILL_LEAD_M = 100;
+  const DRILL_BRAKE_ON = 0.2;
+  const DRILL_BRAKE_OFF = 0.5;     // seconds off the lever before braking again counts as a new braking point
+  const DRILL_STOPPED = 1;         // m/s; a bike this slow before the exit ends the run
+  const DRILL_PAUSE = 1.5;         // seconds from a run's result to the next run
+  const DRILL_POINTS = 50;         // for each of the braking point and the exit speed
+  const DRILL_TOLERANCE = 0.5;     // this far off the data, as a share of it, scores nothing
+  const DRILL_KEY = 'buriramgp.drill';   // per circuit, like the lap records
+  const DRILL_RECENT = 10;         // runs per corner kept for the average
+  const DRILL_BOARD_OFFSET = 1.45; // boards stand this many road half-widths from the centre
+  const MARKER_COLORS = { line: '#f0f0f0', board: '#f5a623' }; // for a brakingMarker that names none
+
+  // ─── Cameras ────────────────────────────────────────────────────────────────
+  // Onboard is the original first-person view; chase sits behind and above the rider,
+  // whose sprite leans into corners; top-down is drawn flat from the circuit geometry.
+  const CAMERAS = ['onboard', 'chase', 'topdown'];
+  const CHASE_DISTANCE = 15 * SEGMENT_LENGTH;
+  const CHASE_HEIGHT = 1800;
+  const CHASE_FOLLOW = 0.7;        // share of the rider's lateral movement the chase camera follows
+  const RIDER_HEIGHT = 0.25;       // bike sprite height as a share of the road's half-width
+  const LEAN_CRASHED = Math.PI / 2;
+  const TOPDOWN_SPAN_M = 120;      // metres of track from the top of the screen to the bottom
+  const TOPDOWN_RIDER_Y = 0.7;     // rider's height on screen, as a share of H
+
+  // ─── Replay ─────────────────────────────────────────────────────────────────
+  // The last REPLAY_SECONDS are kept as snapshots and played back from trackside cameras
+  // looking into the braking zones of the key corners, or from the chase camera elsewhere.
+  const REPLAY_SECONDS = 10;
+  const REPLAY_MIN_SECONDS = 1;
+  const REPLAY_CAMERA_BRAKING = 8; // corners this hard on the brakes get a trackside camera
+  const TRACKSIDE_LEAD_M = 30;     // camera this far before the braking zone
+  const TRACKSIDE_RUNOUT_M = 40;   // and used until this far past the corner exit
+  const TRACKSIDE_HEIGHT = 3200;
+  const TRACKSIDE_OFFSET = 1.8 * ROAD_WIDTH; // out on the run-off, on the outside of the corner
+
+  // ─── Events ─────────────────────────────────────────────────────────────────
+  // What app.js can subscribe to with on(type, handler), and what the handler is given:
+  //   lapComplete   the lap { time, sectors, valid, personalBest, telemetry, … }
+  //   sectorSplit   { sector (0-based), time, improved }, the lap's last one just before lapComplete
+  //   cornerEntered the corner's data from corners.json, at its turn-in
+  //   offTrack      { corner (number or null), surface: 'grass' | 'gravel' } when the bike leaves the tarmac
+  //   raceFinish    the race results, see raceLap()
+  //   apexReached   the number of the corner being spotted, if its apex comes before an answer
+  //   cameraChange  the camera's name, when cycleCamera() changes it (C key, gamepad X)
+  //   drillResult   a braking drill run { corner, run, brakingM, exitKmh, crashed, points, … }, see finishDrillRun()
+  const EVENTS = ['lapComplete', 'sectorSplit', 'cornerEntered', 'offTrack', 'raceFinish', 'apexReached', 'cameraChange', 'drillResult'];
+
+  // ─── Timing ─────────────────────────────────────────────────────────────────
+  // Records and ghosts are stored per circuit: `${key}.${circuit.id}`.
+  const RECORDS_KEY = 'buriramgp.timing';
+  const RECORDS_VERSION = 2;       // laps timed before the engine ran in real units don't compare
+  const MAX_SAVED_LAPS = 10;
+
+  // ─── Ghost ──────────────────────────────────────────────────────────────────
+  const GHOST_KEY = 'buriramgp.ghost';
+  const GHOST_VERSION = 2;         // 1 was recorded before the engine ran in real units
+  const GHOST_INTERVAL = 0.05;     // seconds between samples
+  const GHOST_ALPHA = 0.45;
 
   // ─── Visual Settings ────────────────────────────────────────────────────────
   const COLOR = {
-    GRASS1: '#1b4d24',
-    GRASS2: '#133d1c',
-    ROAD1: '#26262a',
-    ROAD2: '#2b2b2f',
     RUMBLE1: '#e8003d',
     RUMBLE2: '#ffffff',
     STRIPE: '#ffffff',
+    PLAYER: '#00d4aa',
+  };
+
+  // ─── Conditions ─────────────────────────────────────────────────────────────
+  // Sky gradient (top → horizon) with the skyline photo blended over it at `skyline`
+  // opacity, fog colour and where it starts (share of DRAW_DISTANCE), ground and road
+  // stripes, rain drops on screen and tyre grip. The skyline is a dusk photo.
+  const CONDITIONS = {
+    day: {
+      sky: ['#3d7cc9', '#b4dcf4'], skyline: 0.3, fog: [180, 205, 225], fogStart: 0.5,
+      grass: ['#2f7a37', '#286c30'], road: ['#45454b', '#4b4b51'], rain: 0, grip: 1,
+    },
+    dusk: {
+      sky: ['#2b2350', '#f08a4b'], skyline: 1, fog: [110, 70, 80], fogStart: 0.4,
+      grass: ['#224a27', '#1b3f21'], road: ['#303035', '#35353a'], rain: 0, grip: 1,
+    },
+    night: {
+      sky: ['#03030a', '#0d0d1e'], skyline: 0.15, fog: [15, 15, 30], fogStart: 0.4,
+      grass: ['#1b4d24', '#133d1c'], road: ['#26262a', '#2b2b2f'], rain: 0, grip: 1,
+    },
+    wet: {
+      sky: ['#363c44', '#737b84'], skyline: 0.2, fog: [105, 112, 122], fogStart: 0.15,
+      grass: ['#1f5529', '#1a4a23'], road: ['#1c2125', '#20262a'], rain: 1, grip: 0.7,
+    },
   };
+  const RAIN_DROPS = 260;          // at rain 1
+  const RAIN_SLANT = 0.7;          // sideways drift per second at full speed, share of W
+
+  // ─── Dashboard ──────────────────────────────────────────────────────────────
+  // Shift lights come on one by one from SHIFT_LIGHTS_FROM of the rev limit, all five
+  // just before the automatic box changes up, and all turn red on the limiter.
+  const SHIFT_LIGHTS = 5;
+  const SHIFT_LIGHTS_FROM = 0.8;
+  const SHIFT_LIGHT_COLORS = ['#00d4aa', '#00d4aa', '#f5a623', '#f5a623', '#e8003d'];
 
   // ─── Asset Loader ───────────────────────────────────────────────────────────
   const ASSETS = {
@@ -66,84 +188,212 @@ const RideEngine = (() => {
     return Promise.all(promises);
   }
 
-  // ─── Track Schema: Chang International Circuit ──────────────────────────────
-  // We model the 4.5km circuit using 'Zones' to ensure proportions match REALITY.
-  // 1 unit of length approx = 200 world units.
-  const TRACK_ZONES = [
-    { type: 'straight', len: 50 },                           // Start/Finish Straight
-    { type: 'corner', len: 35, curve: 1.6, id: 1 },          // T1: Start Hairpin (Right)
-    { type: 'straight', len: 20 },                           // Short Exit
-    { type: 'corner', len: 25, curve: -0.2, id: 2 },         // T2: Kink (Left)
-    { type: 'straight', len: 140 },                          // THE BACK STRAIGHT (~1000m)
-    { type: 'corner', len: 45, curve: 2.1, id: 3 },          // T3: The Hammer (Braking Point!)
-    { type: 'straight', len: 15 },                           // Transition
-    { type: 'corner', len: 30, curve: -1.2, id: 4 },         // T4: Left Hairpin
-    { type: 'straight', len: 20 },
-    { type: 'corner', len: 35, curve: 1.3, id: 5 },          // T5: Technical Right
-    { type: 'straight', len: 10 },
-    { type: 'corner', len: 40, curve: -0.9, id: 6 },         // T6: Fast Sweeper Left
-    { type: 'straight', len: 25 },
-    { type: 'corner', len: 30, curve: 0.8, id: 7 },          // T7: Right Entry to Infield
-    { type: 'straight', len: 15 },
-    { type: 'corner', len: 45, curve: -0.7, id: 8 },         // T8: Wide Sweeper Left
-    { type: 'straight', len: 15 },
-    { type: 'corner', len: 30, curve: 1.5, id: 9 },          // T9: Tech Infield Right
-    { type: 'straight', len: 5 },
-    { type: 'corner', len: 30, curve: -1.4, id: 10 },        // T10: Tech Infield Left
-    { type: 'straight', len: 35 },                           // Fast Run
-    { type: 'corner', len: 30, curve: 0.9, id: 11 },         // T11: Fast Curve Right
-    { type: 'straight', len: 20 },
-    { type: 'corner', len: 40, curve: -1.8, id: 12 },        // T12: Final Glory Corner (Left)
-    { type: 'straight', len: 20 },                           // Back to S/F
-  ];
-
-  function buildTrack() {
-    const segments = [];
-    let id = 0;
-
-    TRACK_ZONES.forEach(zone => {
-      const isCorner = zone.type === 'corner';
-      for (let i = 0; i < zone.len; i++) {
-        // Smooth in/out of curves
-        let curve = 0;
-        if (isCorner) {
-          const t = i / zone.len;
-          curve = zone.curve * Math.sin(t * Math.PI); // Sinusoidal curve curve for realism
-        }
+  // ─── Trackside Cameras ──────────────────────────────────────────────────────
+  // One replay camera per key corner: TRACKSIDE_LEAD_M before its braking zone, out on
+  // the outside of the corner, covering the bike until it is clear of the exit.
 
-        segments.push({
-          index: id++,
-          curve,
-          cornerIndex: isCorner ? zone.id : null,
-          color: Math.floor(id / RUMBLE_LENGTH) % 2,
-          skid: (isCorner && i < 10) ? Math.random() < 0.3 : false, // Braking skid marks
-          objects: []
-        });
-      }
-    });
+  function buildTrackCameras(segments, corners) {
+    const n = segments.length;
+    return corners.filter(c => c.brakingDifficulty >= REPLAY_CAMERA_BRAKING).map(c => {
+      const idx = segments.map((seg, i) => (seg.cornerIndex === c.number ? i : -1)).filter(i => i >= 0);
+      if (!idx.length) return null;
+      const start = (idx[0] - Math.round((c.brakingDistance + TRACKSIDE_LEAD_M) / SEGMENT_METRES) + n) % n;
+      const end = idx[idx.length - 1] + Math.round(TRACKSIDE_RUNOUT_M / SEGMENT_METRES);
+      return {
+        corner: c.number,
+        position: start * SEGMENT_LENGTH,
+        span: ((end - start + n) % n) * SEGMENT_LENGTH,
+        offset: (c.direction === 'right' ? -1 : 1) * TRACKSIDE_OFFSET,
+      };
+    }).filter(Boolean);
+  }
 
-    // Populate objects
-    segments.forEach((seg, i) => {
-      // Trees everywhere
-      if (i % 8 === 0) {
-        seg.objects.push({ type: 'tree', offset: (Math.random() > 0.5 ? 1.8 : -1.8) + (Math.random() * 0.5) });
-      }
-      // Grandstands at main straights and major corners
-      if ((i < 60) || (i > 250 && i < 350) || (i > id - 100)) {
-        if (i % 15 === 0) seg.objects.push({ type: 'grandstand', offset: -2.5 });
-      }
-      // Sponsor boards at curves
-      if (seg.cornerIndex && i % 10 === 0) {
-        seg.objects.push({ type: 'sponsor', offset: 1.3 });
+  // Blend of two positions the short way round a lap of length L.
+  function lerpPosition(p, q, f, L) {
+    const d = ((q - p) % L + L * 1.5) % L - L / 2;
+    return (p + d * f + L) % L;
+  }
+
+  // ─── Braking Drill ──────────────────────────────────────────────────────────
+
+  // A corner's brakingMarker (schema.js) as a drill mark: a line painted across the tarmac
+  // or a board on a post, on the outside of the corner unless it gives a side. Null for a
+  // corner without one.
+  function brakingMark(corner) {
+    const marker = corner.brakingMarker;
+    if (!marker) return null;
+    const side = marker.side || (corner.direction === 'right' ? 'left' : 'right');
+    return {
+      kind: marker.kind,
+      side: side === 'left' ? -1 : 1,
+      color: marker.color || MARKER_COLORS[marker.kind],
+      text: `T${corner.number}`,
+    };
+  }
+
+  // Marks by segment index: the distance boards on both sides of the approach, and the
+  // corner's braking marker (if it has one) at its brakingDistance.
+  function buildDrillMarks(segments, corner, turnIn) {
+    const n = segments.length;
+    const marks = {};
+    const at = metres => (turnIn - Math.round(metres / SEGMENT_METRES) + n) % n;
+    const add = (metres, mark) => (marks[at(metres)] = marks[at(metres)] || []).push(mark);
+    DRILL_BOARDS.forEach(metres => [-1, 1].forEach(side => {
+      add(metres, { kind: 'board', side, color: '#f0f0f0', text: String(metres) });
+    }));
+    const marker = brakingMark(corner);
+    if (marker) add(corner.brakingDistance, marker);
+    return marks;
+  }
+
+  // Points for how close a braking point (metres before the turn-in) and an exit speed
+  // (km/h) came to the corner data; nothing after a crash.
+  function scoreDrill(corner, brakingM, exitKmh, crashed) {
+    const close = (value, ideal) => (value == null ? 0 : Math.max(0, 1 - Math.abs(value - ideal) / (ideal * DRILL_TOLERANCE)));
+    const braking = crashed ? 0 : Math.round(DRILL_POINTS * close(brakingM, corner.brakingDistance));
+    const exit = crashed ? 0 : Math.round(DRILL_POINTS * close(exitKmh, corner.exitSpeed));
+    return { braking, exit, total: braking + exit };
+  }
+
+  // { [corner number]: { runs, best, recent } }: runs is a count, best the top-scoring run
+  // and recent the points of the last DRILL_RECENT runs.
+  function loadDrillRecords(circuitId) {
+    try {
+      const records = JSON.parse(localStorage.getItem(`${DRILL_KEY}.${circuitId}`));
+      if (records && typeof records === 'object') return records;
+    } catch (e) {
+      console.warn('Drill results unavailable:', e);
+    }
+    return {};
+  }
+
+  function saveDrillRecords(circuitId, records) {
+    try {
+      localStorage.setItem(`${DRILL_KEY}.${circuitId}`, JSON.stringify(records));
+    } catch (e) {
+      console.warn('Could not save drill results:', e);
+    }
+  }
+
+  // ─── Lap Timing & Personal Bests ────────────────────────────────────────────
+
+  // Sectors start where the circuit's sector corners begin (S1 starts at S/F).
+  function findSectorStarts(segments, circuit) {
+    return circuit.sectors.map(id => segments.findIndex(seg => seg.cornerIndex === id));
+  }
+
+  function sectorAt(sectorStarts, segIndex) {
+    return sectorStarts.filter(start => segIndex >= start).length;
+  }
+
+  function loadRecords(circuitId) {
+    try {
+      const raw = localStorage.getItem(`${RECORDS_KEY}.${circuitId}`);
+      const records = raw && JSON.parse(raw);
+      if (records && records.version === RECORDS_VERSION) return records;
+    } catch (e) {
+      console.warn('Lap records unavailable:', e);
+    }
+    return { version: RECORDS_VERSION, bestLap: null, bestSectors: [], laps: [] };
+  }
+
+  function saveRecords(circuitId, records) {
+    try {
+      localStorage.setItem(`${RECORDS_KEY}.${circuitId}`, JSON.stringify(records));
+    } catch (e) {
+      console.warn('Could not save lap records:', e);
+    }
+  }
+
+  function newLapTiming(valid) {
+    return {
+      lapTime: 0,
+      sector: 0,
+      sectorStart: 0,
+      splits: [],
+      splitImproved: [],
+      segTimes: [],      // time at which each segment was first reached this lap
+      valid,             // demo-assisted laps never become personal bests
+    };
+  }
+
+  function formatLapTime(t) {
+    if (t == null) return '--:--.---';
+    const min = Math.floor(t / 60);
+    const sec = (t - min * 60).toFixed(3).padStart(6, '0');
+    return `${min}:${sec}`;
+  }
+
+  function formatDelta(d) {
+    return `${d < 0 ? '-' : '+'}${Math.abs(d).toFixed(3)}`;
+  }
+
+  // ─── Ghost Rider ────────────────────────────────────────────────────────────
+  // A ghost is one lap of samples every GHOST_INTERVAL: [lapTime, position, x, speed (m/s)].
+
+  function recordFrame(frames, t, state) {
+    frames.push([
+      Math.round(t * 1000) / 1000,
+      Math.round(state.position * 10) / 10,
+      Math.round(state.x * 1000) / 1000,
+      Math.round(state.speed * 10) / 10,
+    ]);
+  }
+
+  function validateGhost(data) {
+    if (!data || data.version !== GHOST_VERSION) throw new Error('Unsupported ghost file version');
+    if (typeof data.lapTime !== 'number' || !(data.lapTime > 0)) throw new Error('Ghost lap time missing');
+    if (!Array.isArray(data.frames) || data.frames.length < 2) throw new Error('Ghost has no frames');
+    data.frames.forEach((f, i) => {
+      if (!Array.isArray(f) || f.length !== 4 || f.some(v => typeof v !== 'number' || !isFinite(v))) {
+        throw new Error(`Ghost frame ${i} is malformed`);
       }
     });
+    return data;
+  }
 
-    return segments;
+  function loadGhost(circuitId) {
+    try {
+      const raw = localStorage.getItem(`${GHOST_KEY}.${circuitId}`);
+      if (raw) return validateGhost(JSON.parse(raw));
+    } catch (e) {
+      console.warn('Ghost unavailable:', e);
+    }
+    return null;
+  }
+
+  function saveGhost(circuitId, ghost) {
+    try {
+      localStorage.setItem(`${GHOST_KEY}.${circuitId}`, JSON.stringify(ghost));
+    } catch (e) {
+      console.warn('Could not save ghost:', e);
+    }
+  }
+
+  // ─── Telemetry ──────────────────────────────────────────────────────────────
+  // One sample per segment reached: [distance m, km/h, throttle, brake, x, corner].
+  // Corner is 0 on the straights. Plotted by telemetry.js after the lap.
+
+  function recordTelemetry(samples, state, controls, distance) {
+    samples.push([
+      Math.round(distance * 10) / 10,
+      Math.round(state.speed * KMH_PER_MS * 10) / 10,
+      Math.round(controls.throttle * 100) / 100,
+      Math.round(controls.brake * 100) / 100,
+      Math.round(state.x * 1000) / 1000,
+      state.currentCorner || 0,
+    ]);
   }
 
   // ─── Rendering Engine ───────────────────────────────────────────────────────
 
-  function drawBackground(ctx, W, H, cameraX) {
+  function drawBackground(ctx, W, H, cameraX, cond) {
+    const sky = ctx.createLinearGradient(0, 0, 0, H / 2);
+    sky.addColorStop(0, cond.sky[0]);
+    sky.addColorStop(1, cond.sky[1]);
+    ctx.fillStyle = sky;
+    ctx.fillRect(0, 0, W, H / 2);
+
     if (ASSETS.skyline) {
       // Parallax skyline
       const iw = ASSETS.skyline.width, ih = ASSETS.skyline.height;
@@ -152,16 +402,46 @@ const RideEngine = (() => {
       const drawW = drawH * aspect;
       // Scroll based on camera X
       let scrollX = (cameraX * 50) % drawW;
+      ctx.save();
+      ctx.globalAlpha = cond.skyline;
       ctx.drawImage(ASSETS.skyline, -scrollX, 0, drawW, drawH);
       ctx.drawImage(ASSETS.skyline, -scrollX + drawW, 0, drawW, drawH);
-    } else {
-      ctx.fillStyle = '#0d0d1e';
-      ctx.fillRect(0, 0, W, H / 2);
+      ctx.restore();
     }
-    ctx.fillStyle = COLOR.GRASS1;
+    ctx.fillStyle = cond.grass[0];
     ctx.fillRect(0, H / 2, W, H / 2);
   }
 
+  // Fresh drops spread over the screen for `rain` (0–1).
+  function createRain(rain) {
+    return Array.from({ length: Math.round(RAIN_DROPS * rain) }, () => ({
+      x: Math.random(),
+      y: Math.random(),
+      length: 0.02 + Math.random() * 0.03,
+      fall: 1.2 + Math.random() * 0.9,   // screen heights per second
+    }));
+  }
+
+  // Streaks falling across the lens, blown sideways the faster the bike goes; dt is the
+  // frame time in seconds.
+  function drawRain(ctx, W, H, drops, speedShare, dt) {
+    const slant = RAIN_SLANT * speedShare;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(200,215,235,0.35)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    drops.forEach(d => {
+      d.y += d.fall * dt;
+      d.x -= slant * dt;
+      if (d.y > 1) { d.y -= 1 + d.length; d.x = Math.random(); }
+      if (d.x < 0) d.x += 1;
+      ctx.moveTo(d.x * W, d.y * H);
+      ctx.lineTo((d.x + slant * d.length / d.fall) * W, (d.y + d.length) * H);
+    });
+    ctx.stroke();
+    ctx.restore();
+  }
+
   function drawTrap(ctx, x1, y1, w1, x2, y2, w2, color) {
     ctx.fillStyle = color;
     ctx.beginPath();
@@ -188,21 +468,119 @@ const RideEngine = (() => {
     ctx.drawImage(img, ox, oy, w, h);
   }
 
-  function drawAsphaltNoise(ctx, x, y, w, h) {
-    // Subtle static noise to make asphalt feel less 'flat'
-    ctx.fillStyle = 'rgba(255,255,255,0.03)';
-    for (let i = 0; i < 3; i++) {
-      const nx = x - w + Math.random() * w * 2;
-      const ny = y + Math.random() * h;
-      ctx.fillRect(nx, ny, 2, 1);
+  // h is the sprite height in pixels; lean tilts it about the tyre's contact patch.
+  function drawRider(ctx, x, y, h, alpha, color = COLOR.PLAYER, lean = 0) {
+    const w = h * 0.45;
+
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    ctx.translate(x, y);
+    ctx.rotate(lean);
+    ctx.translate(-x, -y);
+    // Rear tyre
+    ctx.fillStyle = '#111';
+    ctx.fillRect(x - w * 0.12, y - h * 0.3, w * 0.24, h * 0.3);
+    // Bike bodywork
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(x - w / 2, y - h * 0.25);
+    ctx.lineTo(x - w * 0.35, y - h * 0.7);
+    ctx.lineTo(x + w * 0.35, y - h * 0.7);
+    ctx.lineTo(x + w / 2, y - h * 0.25);
+    ctx.closePath();
+    ctx.fill();
+    // Rider helmet
+    ctx.fillStyle = '#f0f0f8';
+    ctx.beginPath();
+    ctx.arc(x, y - h * 0.82, w * 0.22, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  // Flat, heading-up view of the track around `centre` (metres from the S/F line),
+  // drawn from the circuit's centreline. Bikes are { metres, x, color, alpha }.
+  function drawTopDown(ctx, W, H, circuit, centre, bikes, cond) {
+    const here = circuit.at(centre);
+    const ppm = H / TOPDOWN_SPAN_M;
+    const k = circuit.metresPerUnit * ppm;
+    const rot = -Math.PI / 2 - here.heading;     // the rider's heading points up the screen
+    const cos = Math.cos(rot), sin = Math.sin(rot);
+    const cx = W / 2, cy = H * TOPDOWN_RIDER_Y;
+    const toScreen = p => {
+      const dx = (p.x - here.x) * k, dy = (p.y - here.y) * k;
+      return [cx + dx * cos - dy * sin, cy + dx * sin + dy * cos];
+    };
+
+    ctx.fillStyle = cond.grass[0];
+    ctx.fillRect(0, 0, W, H);
+
+    // Slices of SEGMENT_METRES from below the screen to beyond its top
+    const from = centre - TOPDOWN_SPAN_M * (1 - TOPDOWN_RIDER_Y) * 1.5;
+    const to = centre + TOPDOWN_SPAN_M * TOPDOWN_RIDER_Y * 1.5;
+    const first = Math.floor(from / SEGMENT_METRES);
+    const slices = [];
+    for (let i = first; i * SEGMENT_METRES <= to; i++) {
+      const a = circuit.at(i * SEGMENT_METRES), b = circuit.at((i + 1) * SEGMENT_METRES);
+      slices.push({ a: toScreen(a), b: toScreen(b), w: a.w * ppm, color: Math.floor(i / RUMBLE_LENGTH) % 2 });
     }
+
+    ctx.save();
+    ctx.lineCap = 'round';
+    const stroke = (slice, width, color) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = width;
+      ctx.beginPath();
+      ctx.moveTo(slice.a[0], slice.a[1]);
+      ctx.lineTo(slice.b[0], slice.b[1]);
+      ctx.stroke();
+    };
+    slices.forEach(sl => stroke(sl, sl.w * 1.15, sl.color ? COLOR.RUMBLE2 : COLOR.RUMBLE1));
+    slices.forEach(sl => stroke(sl, sl.w, cond.road[sl.color]));
+    ctx.lineCap = 'butt';
+    slices.filter(sl => sl.color === 0).forEach(sl => stroke(sl, Math.max(sl.w * 0.03, 1), COLOR.STRIPE));
+
+    // Corner numbers at the middle of each corner in view
+    ctx.font = 'bold 18px Rajdhani';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = 'rgba(255,255,255,0.7)';
+    circuit.corners.forEach(c => {
+      const [x, y] = toScreen(circuit.cornerMarker(c.id));
+      if (x > 0 && x < W && y > 0 && y < H) ctx.fillText(`T${c.id}`, x, y);
+    });
+
+    // Bikes as arrows along the track heading, offset across the road by x
+    bikes.forEach(bike => {
+      const p = circuit.at(bike.metres);
+      const off = bike.x * p.w / 2 / circuit.metresPerUnit;
+      const [x, y] = toScreen({ x: p.x - Math.sin(p.heading) * off, y: p.y + Math.cos(p.heading) * off });
+      ctx.save();
+      ctx.globalAlpha = bike.alpha;
+      ctx.translate(x, y);
+      ctx.rotate(p.heading + rot);
+      ctx.fillStyle = bike.color;
+      ctx.beginPath();
+      ctx.moveTo(2.5 * ppm, 0);
+      ctx.lineTo(-1.5 * ppm, -1 * ppm);
+      ctx.lineTo(-1.5 * ppm, 1 * ppm);
+      ctx.closePath();
+      ctx.fill();
+      ctx.restore();
+    });
+    ctx.restore();
+  }
+
+  // Subtle specks to make asphalt feel less 'flat', placed by the segment's seeded `noise`
+  function drawAsphaltNoise(ctx, x, y, w, h, noise) {
+    ctx.fillStyle = 'rgba(255,255,255,0.03)';
+    noise.forEach(([u, v]) => ctx.fillRect(x - w + u * w * 2, y + v * h, 2, 1));
   }
 
   // ─── HUD (MotoGP Style) ─────────────────────────────────────────────────────
 
-  function drawDashboard(ctx, W, H, state) {
-    const spd = Math.abs(state.speed) * 0.28;
-    const gear = spd < 60 ? 1 : spd < 110 ? 2 : spd < 160 ? 3 : spd < 220 ? 4 : spd < 280 ? 5 : 6;
+  // auto: the gearbox is changing gear for the rider (automatic or demo rider).
+  function drawDashboard(ctx, W, H, state, delta, controls, auto) {
+    const spd = Math.abs(state.speed) * KMH_PER_MS;
+    const rev = (state.rpm || 0) / REV_LIMIT;
 
     // Bottom dashboard (Glassmorphism look)
     const dW = 340, dH = 100;
@@ -217,6 +595,20 @@ const RideEngine = (() => {
     ctx.lineWidth = 1;
     ctx.stroke();
 
+    // Shift lights over the rev bar
+    for (let i = 0; i < SHIFT_LIGHTS; i++) {
+      const lit = rev >= SHIFT_LIGHTS_FROM + (1 - SHIFT_LIGHTS_FROM) * i / SHIFT_LIGHTS;
+      ctx.beginPath();
+      ctx.arc(dx + dW / 2 + (i - (SHIFT_LIGHTS - 1) / 2) * 16, dy + 11, 4, 0, Math.PI * 2);
+      ctx.fillStyle = state.limiter ? '#e8003d' : lit ? SHIFT_LIGHT_COLORS[i] : '#222';
+      ctx.fill();
+    }
+    const revW = dW - 60;
+    ctx.fillStyle = '#222';
+    ctx.fillRect(dx + 30, dy + 19, revW, 4);
+    ctx.fillStyle = state.limiter ? '#e8003d' : rev >= SHIFT_LIGHTS_FROM ? '#f5a623' : '#00d4aa';
+    ctx.fillRect(dx + 30, dy + 19, revW * Math.min(rev, 1), 4);
+
     // Speedo
     ctx.fillStyle = '#fff';
     ctx.font = 'bold 50px Rajdhani';
@@ -224,15 +616,34 @@ const RideEngine = (() => {
     ctx.fillText(Math.round(spd), dx + dW * 0.45, dy + 65);
     ctx.font = '16px Rajdhani';
     ctx.fillStyle = '#8a8a9a';
-    ctx.fillText('km/h', dx + dW * 0.45 + 50, dy + 63);
+    ctx.fillText(I18n.t('hud.kmh'), dx + dW * 0.45 + 50, dy + 63);
 
     // Gear
     ctx.fillStyle = '#f5b041';
     ctx.font = 'bold 36px Rajdhani';
-    ctx.fillText(gear, dx + 60, dy + 60);
+    ctx.fillText(state.gear, dx + 60, dy + 60);
     ctx.font = '12px Inter';
     ctx.fillStyle = '#666';
-    ctx.fillText('GEAR', dx + 60, dy + 82);
+    ctx.fillText(I18n.t(auto ? 'hud.gearAuto' : 'hud.gear'), dx + 60, dy + 82);
+
+    // Live delta to personal best
+    if (delta != null) {
+      ctx.fillStyle = delta <= 0 ? '#00d4aa' : '#e8003d';
+      ctx.font = 'bold 20px Rajdhani';
+      ctx.fillText(formatDelta(delta), dx + dW - 48, dy + 45);
+      ctx.font = '12px Inter';
+      ctx.fillStyle = '#666';
+      ctx.fillText(I18n.t('hud.delta'), dx + dW - 48, dy + 62);
+    }
+
+    // Throttle (left) and brake (right) input bars
+    const barH = dH - 30;
+    [[controls.throttle, dx + 10, '#00d4aa'], [controls.brake, dx + dW - 16, '#e8003d']].forEach(([value, bx, color]) => {
+      ctx.fillStyle = '#222';
+      ctx.fillRect(bx, dy + 12, 6, barH);
+      ctx.fillStyle = color;
+      ctx.fillRect(bx, dy + 12 + barH * (1 - value), 6, barH * value);
+    });
 
     // Progress bar
     const prog = state.position / state.trackLength;
@@ -244,6 +655,244 @@ const RideEngine = (() => {
     ctx.restore();
   }
 
+  // Outlines the touch zones once a finger has been used on the canvas.
+  function drawTouchZones(ctx, W, H, touch) {
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255,255,255,0.12)';
+    ctx.setLineDash([8, 8]);
+    ctx.beginPath();
+    ctx.moveTo(W / 2, H * 0.15);
+    ctx.lineTo(W / 2, H);
+    ctx.moveTo(W / 2, H / 2);
+    ctx.lineTo(W, H / 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = 'rgba(255,255,255,0.25)';
+    ctx.font = 'bold 22px Rajdhani';
+    ctx.textAlign = 'center';
+    ctx.fillText('◀  ▶', W * 0.25, H * 0.75);
+    ctx.fillText('▲', W * 0.75, H * 0.3);
+    ctx.fillText('▼', W * 0.75, H * 0.7);
+
+    if (touch.steerTouch) {
+      ctx.beginPath();
+      ctx.arc(touch.steerTouch.startX * W, H * 0.75, 40, 0, Math.PI * 2);
+      ctx.strokeStyle = 'rgba(255,255,255,0.3)';
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // Race position box, left of the timing box.
+  function drawPosition(ctx, W, position, total, slipstream) {
+    const bW = 90, bH = 64;
+    const bx = W - 210 - 20 - bW - 10, by = 20;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(bx, by, bW, bH, 12);
+    ctx.fillStyle = 'rgba(10,10,25,0.85)';
+    ctx.fill();
+
+    ctx.textAlign = 'center';
+    ctx.font = '12px Inter';
+    ctx.fillStyle = '#666';
+    ctx.fillText(I18n.t('hud.position'), bx + bW / 2, by + 18);
+    ctx.font = 'bold 30px Rajdhani';
+    ctx.fillStyle = position === 1 ? '#f5a623' : '#fff';
+    ctx.fillText(`P${position}`, bx + bW / 2 - 8, by + 50);
+    ctx.font = 'bold 14px Rajdhani';
+    ctx.fillStyle = '#8a8a9a';
+    ctx.fillText(`/${total}`, bx + bW / 2 + 24, by + 50);
+
+    if (slipstream) {
+      ctx.font = 'bold 12px Rajdhani';
+      ctx.fillStyle = '#00d4aa';
+      ctx.fillText(I18n.t('hud.slipstream'), bx + bW / 2, by + bH + 16);
+    }
+    ctx.restore();
+  }
+
+  // Takes the place of the corner overlay while the corner is still to be named.
+  function drawSpotting(ctx, W, metres) {
+    ctx.save();
+    ctx.fillStyle = 'rgba(0,0,0,0.8)';
+    ctx.fillRect(W / 2 - 100, 20, 200, 40);
+    ctx.fillStyle = '#f5a623';
+    ctx.font = 'bold 20px Rajdhani';
+    ctx.textAlign = 'center';
+    ctx.fillText(I18n.t('hud.toApex', { metres: Math.round(metres) }), W / 2, 48);
+    ctx.restore();
+  }
+
+  // Takes the place of the corner overlay in a braking drill: the corner and run, with the
+  // target to ride to, or the last run's score until the next one starts.
+  function drawDrill(ctx, W, drill) {
+    const corner = drill.corner, last = drill.result;
+    ctx.save();
+    ctx.fillStyle = 'rgba(0,0,0,0.8)';
+    ctx.fillRect(W / 2 - 160, 20, 320, 56);
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#e8003d';
+    ctx.font = 'bold 18px Rajdhani';
+    ctx.fillText(`T${corner.number} ${corner.name.toUpperCase()} · ${I18n.t('hud.drillRun', { run: drill.run })}`, W / 2, 42);
+    ctx.fillStyle = last ? '#f5a623' : '#fff';
+    ctx.font = 'bold 14px Rajdhani';
+    ctx.fillText(last
+      ? I18n.t(last.crashed ? 'hud.drillCrashed' : 'hud.drillResult', { points: last.points, braking: last.brakingM ?? '—', exit: last.exitKmh })
+      : I18n.t('hud.drillTarget', { braking: corner.brakingDistance, exit: corner.exitSpeed }), W / 2, 64);
+    ctx.restore();
+  }
+
+  // Dark lettering on a light board, white on a dark one; color is '#rrggbb'.
+  function inkFor(color) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+    return 0.299 * r + 0.587 * g + 0.114 * b > 150 ? '#111' : '#fff';
+  }
+
+  // A drill mark on the road segment from p1 (near) to p2 (far): a line painted across the
+  // tarmac at its near edge, or a board on a post beside the road.
+  function drawDrillMark(ctx, mark, p1, p2) {
+    if (mark.kind === 'line') {
+      const f = 0.25;
+      const x2 = p1.screenX + (p2.screenX - p1.screenX) * f, y2 = p1.screenY + (p2.screenY - p1.screenY) * f;
+      drawTrap(ctx, p1.screenX, p1.screenY, p1.roadW, x2, y2, p1.roadW + (p2.roadW - p1.roadW) * f, mark.color);
+      return;
+    }
+    const x = p1.screenX + mark.side * p1.roadW * DRILL_BOARD_OFFSET;
+    const w = p1.roadW * 0.3, h = p1.roadW * 0.2, post = p1.roadW * 0.25;
+    if (h < 2) return;
+    ctx.save();
+    ctx.fillStyle = '#333';
+    ctx.fillRect(x - w * 0.04, p1.screenY - post, w * 0.08, post);
+    ctx.fillStyle = mark.color;
+    ctx.fillRect(x - w / 2, p1.screenY - post - h, w, h);
+    ctx.fillStyle = inkFor(mark.color);
+    ctx.font = `bold ${Math.round(h * 0.7)}px Rajdhani`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(mark.text, x, p1.screenY - post - h / 2);
+    ctx.restore();
+  }
+
+  // Replay marker with the camera in use and how far through the buffer it is.
+  function drawReplayBanner(ctx, camera, progress) {
+    ctx.save();
+    ctx.fillStyle = 'rgba(0,0,0,0.8)';
+    ctx.fillRect(20, 20, 220, 56);
+    ctx.fillStyle = '#e8003d';
+    ctx.font = 'bold 22px Rajdhani';
+    ctx.textAlign = 'left';
+    ctx.fillText(I18n.t('hud.replay'), 34, 46);
+    ctx.fillStyle = '#8a8a9a';
+    ctx.font = '12px Inter';
+    ctx.fillText(camera, 34, 64);
+    ctx.fillStyle = '#222';
+    ctx.fillRect(20, 76, 220, 4);
+    ctx.fillStyle = '#e8003d';
+    ctx.fillRect(20, 76, 220 * progress, 4);
+    ctx.restore();
+  }
+
+  // Race lap counter, under the timing box.
+  function drawLapCounter(ctx, W, lap, total) {
+    const bW = 210, bH = 40;
+    const bx = W - bW - 20, by = 20 + 128 + 10;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(bx, by, bW, bH, 12);
+    ctx.fillStyle = 'rgba(10,10,25,0.85)';
+    ctx.fill();
+
+    ctx.textAlign = 'left';
+    ctx.font = '12px Inter';
+    ctx.fillStyle = '#666';
+    ctx.fillText(I18n.t('hud.lap'), bx + 14, by + 25);
+    ctx.textAlign = 'right';
+    ctx.font = 'bold 22px Rajdhani';
+    ctx.fillStyle = lap === total ? '#f5a623' : '#fff';
+    ctx.fillText(`${lap}/${total}`, bx + bW - 14, by + 28);
+    ctx.restore();
+  }
+
+  function drawStartLights(ctx, W, H, lit) {
+    const r = 16, gap = 14;
+    const bW = START_LIGHTS * (r * 2 + gap) + gap, bH = r * 2 + gap * 2;
+    const bx = (W - bW) / 2, by = H * 0.2;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(bx, by, bW, bH, 10);
+    ctx.fillStyle = 'rgba(0,0,0,0.9)';
+    ctx.fill();
+    for (let i = 0; i < START_LIGHTS; i++) {
+      ctx.beginPath();
+      ctx.arc(bx + gap + r + i * (r * 2 + gap), by + bH / 2, r, 0, Math.PI * 2);
+      ctx.fillStyle = i < lit ? '#e8003d' : '#222';
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  function drawChequeredFlag(ctx, W, H) {
+    const cols = 8, rows = 5, sq = 14;
+    const fx = (W - cols * sq) / 2, fy = H * 0.2;
+
+    ctx.save();
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        ctx.fillStyle = (row + col) % 2 ? '#111' : '#f0f0f0';
+        ctx.fillRect(fx + col * sq, fy + row * sq, sq, sq);
+      }
+    }
+    ctx.restore();
+  }
+
+  function drawTiming(ctx, W, timing, records, lastLap) {
+    const tW = 210, tH = 128;
+    const tx = W - tW - 20, ty = 20;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.roundRect(tx, ty, tW, tH, 12);
+    ctx.fillStyle = 'rgba(10,10,25,0.85)';
+    ctx.fill();
+
+    const rows = [
+      [I18n.t('hud.lap'), formatLapTime(timing.lapTime), timing.valid ? '#fff' : '#8a8a9a'],
+      [I18n.t('hud.last'), formatLapTime(lastLap && lastLap.time), '#8a8a9a'],
+      [I18n.t('hud.best'), formatLapTime(records.bestLap && records.bestLap.time), '#b46bff'],
+    ];
+    rows.forEach(([label, value, color], i) => {
+      const y = ty + 26 + i * 24;
+      ctx.textAlign = 'left';
+      ctx.font = '12px Inter';
+      ctx.fillStyle = '#666';
+      ctx.fillText(label, tx + 14, y);
+      ctx.textAlign = 'right';
+      ctx.font = 'bold 20px Rajdhani';
+      ctx.fillStyle = color;
+      ctx.fillText(value, tx + tW - 14, y);
+    });
+
+    // Sector splits: green = personal best sector, gold = slower
+    const sW = (tW - 28 - 8) / 3;
+    for (let i = 0; i < 3; i++) {
+      const sx = tx + 14 + i * (sW + 4), sy = ty + tH - 34;
+      const split = timing.splits[i];
+      ctx.fillStyle = split == null ? '#222' : timing.splitImproved[i] ? 'rgba(0,212,170,0.3)' : 'rgba(245,166,35,0.3)';
+      ctx.fillRect(sx, sy, sW, 22);
+      ctx.fillStyle = split == null ? '#555' : '#fff';
+      ctx.font = 'bold 14px Rajdhani';
+      ctx.textAlign = 'center';
+      ctx.fillText(split == null ? `S${i + 1}` : split.toFixed(3), sx + sW / 2, sy + 16);
+    }
+
+    ctx.restore();
+  }
+
   // ─── Main Class ─────────────────────────────────────────────────────────────
 
   class RideEngine {
@@ -252,134 +901,792 @@ const RideEngine = (() => {
       this.ctx = null;
       this.segments = [];
       this.corners = [];
+      this.circuit = null;
       this.state = {
         position: 0,
         speed: 0,
         x: 0,
         currentCorner: null,
         trackLength: 0,
-        demo: false
+        demo: false,
+        crashed: 0,          // seconds left lying in the gravel
+        runningWide: false,
+        offTrack: false,
+        lean: 0,             // radians, + = right; drawn by the chase camera
+        gear: 1,
+        rpm: 0,
+        limiter: false,      // on the rev limiter
+        autoShift: true      // see setGearbox()
       };
-      this.keys = {};
+      this.input = null;
+      this.controls = { throttle: 0, brake: 0, steer: 0 };
+      this.sound = new RideSound();
       this.running = false;
+      this.frame = null;           // pending requestAnimationFrame id
+      this.lastFrame = null;
+      this.frameTime = 0;          // seconds since the last frame, for the rain
+      this.accumulator = 0;        // frame time not yet simulated, less than one STEP
+      this.previous = null;        // bikes before the last step, see snapshot()
+      this.sectorStarts = [];
+      this.timing = newLapTiming(true);
+      this.lastLap = null;
+      this.records = null;
+      this.ghost = null;
+      this.ghostCursor = 0;
+      this.recording = [];
+      this.telemetry = [];
+      this.lap = 0;                // completed laps, for race positions
+      this.rivals = [];
+      this.slipstream = false;
+      this.race = null;            // { laps, phase: 'lights' | 'running' | 'finished', … } in a race
+      this.spotting = null;        // { corner, apex, distance } while a corner is to be named
+      this.drill = null;           // { corner, start, marks, run, … } in a braking drill, see startDrill()
+      this.drillRecords = {};
+      this.camera = CAMERAS[0];
+      this.listeners = {};         // { [event]: Set of handlers }, see on()
+      this.trackCameras = [];
+      this.replayFrames = [];      // snapshots of the last REPLAY_SECONDS, see recordReplay()
+      this.replayClock = 0;
+      this.replay = null;          // { frames, t, cursor } while a replay is playing
+      this.gearbox = GEARBOXES[0];
+      this.conditions = 'day';     // key of CONDITIONS
+      this.grip = CONDITIONS.day.grip;
+      this.rain = [];
     }
 
-    async init(canvas, corners) {
+    async init(canvas, corners, circuit) {
       this.canvas = canvas;
       this.ctx = canvas.getContext('2d');
       this.corners = corners;
+      this.circuit = circuit;
 
       await loadAssets(); // Ensure premium assets are ready
 
-      this.segments = buildTrack();
+      this.segments = RideTrack.buildTrack(corners, circuit);
+      RidePhysics.applyGrip(this.segments, corners, this.grip);
+      this.sectorStarts = findSectorStarts(this.segments, circuit);
+      this.trackCameras = buildTrackCameras(this.segments, corners);
+      this.records = loadRecords(circuit.id);
+      this.drillRecords = loadDrillRecords(circuit.id);
+      this.ghost = loadGhost(circuit.id);
       this.state.trackLength = this.segments.length * SEGMENT_LENGTH;
       this.state.position = 0;
       this.state.speed = 0;
       this.state.x = 0;
 
-      window.addEventListener('keydown', e => {
-        this.keys[e.key] = true;
-        if (e.key === 'd' || e.key === 'D') this.state.demo = !this.state.demo;
+      this.input = new RideInput(canvas);
+      this.input.onShiftUp = () => this.shift(1);
+      this.input.onShiftDown = () => this.shift(-1);
+      this.input.onDemoToggle = () => { this.state.demo = !this.state.demo; };
+      this.input.onCameraChange = () => this.cycleCamera();
+      this.input.onReplay = () => (this.replay ? this.endReplay() : this.startReplay());
+    }
+
+    // Subscribes handler to one of EVENTS; returns a function that unsubscribes it.
+    on(type, handler) {
+      if (!EVENTS.includes(type)) throw new Error(`Unknown ride event: ${type}`);
+      (this.listeners[type] = this.listeners[type] || new Set()).add(handler);
+      return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+      if (this.listeners[type]) this.listeners[type].delete(handler);
+    }
+
+    // A failing handler is logged rather than allowed to stop the physics step.
+    emit(type, detail) {
+      (this.listeners[type] || []).forEach(handler => {
+        try {
+          handler(detail);
+        } catch (e) {
+          console.error(`Ride ${type} handler failed:`, e);
+        }
+      });
+    }
+
+    // Weather and time of day; grip changes rebuild the corner limits and the demo profile.
+    setConditions(name) {
+      const cond = CONDITIONS[name];
+      if (!cond) return;
+      this.conditions = name;
+      this.rain = createRain(cond.rain);
+      if (cond.grip !== this.grip) {
+        this.grip = cond.grip;
+        if (this.segments.length) RidePhysics.applyGrip(this.segments, this.corners, this.grip);
+      }
+    }
+
+    setCamera(camera) {
+      if (CAMERAS.includes(camera)) this.camera = camera;
+    }
+
+    setGearbox(gearbox) {
+      if (!GEARBOXES.includes(gearbox)) return;
+      this.gearbox = gearbox;
+      this.state.autoShift = gearbox === 'auto';
+    }
+
+    // A change of gear from the shift keys or paddles; only with the manual box, and
+    // refused when changing down would over-rev the engine (physics.js).
+    shift(dir) {
+      const s = this.state;
+      if (s.autoShift || s.demo || s.crashed > 0 || this.replay) return false;
+      return RidePhysics.shift(s, dir);
+    }
+
+    setSound(on) {
+      this.sound.setEnabled(on);
+    }
+
+    cycleCamera() {
+      this.setCamera(CAMERAS[(CAMERAS.indexOf(this.camera) + 1) % CAMERAS.length]);
+      this.emit('cameraChange', this.camera);
+    }
+
+    // Rivals are placed on the grid ahead of the player; off means a solo time trial.
+    // In a race they line up behind the player instead.
+    setRivals(on) {
+      const L = this.state.trackLength;
+      this.rivals = on ? (this.race ? RidePhysics.gridRivals(L) : RidePhysics.createRivals(L)) : [];
+    }
+
+    // Puts the player on pole at the line, the rivals (if any) behind, and starts the lights.
+    startRace(laps) {
+      const s = this.state;
+      Object.assign(s, { position: 0, speed: 0, x: 0, gear: 1, crashed: 0, crashCorner: null, runningWide: false, offTrack: false, currentCorner: null });
+      this.race = {
+        laps,
+        phase: 'lights',
+        lights: 0,
+        clock: 0,
+        lightsOut: START_LIGHTS * LIGHT_INTERVAL + LIGHTS_HOLD_MIN + Math.random() * (LIGHTS_HOLD_MAX - LIGHTS_HOLD_MIN),
+        lapTimes: [],
+      };
+      if (this.rivals.length) this.rivals = RidePhysics.gridRivals(s.trackLength);
+      this.spotting = null;
+      this.drill = null;
+      this.replay = null;
+      this.replayFrames = [];
+      this.previous = null;
+      this.lap = 0;
+      this.lastLap = null;
+      this.resetLap();
+    }
+
+    // Back to free riding; the bikes carry on from where they are.
+    endRace() {
+      this.race = null;
+    }
+
+    // Lights come on one per LIGHT_INTERVAL; the lap clock starts when they go out.
+    updateStartLights(dt) {
+      const r = this.race;
+      r.clock += dt;
+      r.lights = Math.min(Math.floor(r.clock / LIGHT_INTERVAL), START_LIGHTS);
+      if (r.clock < r.lightsOut) return;
+      r.phase = 'running';
+      r.lights = 0;
+      this.resetLap();
+    }
+
+    // Counts a completed lap towards the race; the last one brings out the flag.
+    raceLap(lap) {
+      const r = this.race;
+      if (r.phase !== 'running') return;
+      r.lapTimes.push(lap);
+      if (this.lap < r.laps) return;
+
+      r.phase = 'finished';
+      const times = r.lapTimes.map(l => l.time);
+      const results = {
+        laps: r.lapTimes.map(l => ({ time: l.time, sectors: l.sectors, valid: l.valid })),
+        bestLap: times.indexOf(Math.min(...times)),
+        totalTime: times.reduce((sum, t) => sum + t, 0),
+        position: this.racePosition(),
+        riders: this.rivals.length + 1,
+      };
+      r.results = results;
+      this.emit('raceFinish', results);
+    }
+
+    // Drops the demo rider SPOT_APPROACH_M before the corner's turn-in at the profile
+    // speed, with the corner overlay hidden until endSpotting() or the apex.
+    startSpotting(cornerNumber) {
+      const s = this.state;
+      const segs = this.segments;
+      const turnIn = segs.findIndex(seg => seg.cornerIndex === cornerNumber);
+      const apex = segs.findIndex(seg => seg.cornerIndex === cornerNumber && seg.cornerT >= SPOT_APEX_T);
+      const start = (turnIn - Math.round(SPOT_APPROACH_M / SEGMENT_METRES) + segs.length) % segs.length;
+
+      this.endRace();
+      this.endDrill();
+      this.replay = null;
+      this.replayFrames = [];
+      this.previous = null;
+      Object.assign(s, {
+        position: start * SEGMENT_LENGTH, speed: segs[start].aiSpeed, x: segs[start].aiX, gear: RidePhysics.gearFor(segs[start].aiSpeed),
+        crashed: 0, crashCorner: null, runningWide: false, offTrack: false, currentCorner: null, demo: true,
       });
-      window.addEventListener('keyup', e => this.keys[e.key] = false);
+      this.spotting = { corner: cornerNumber, apex, distance: 0 };
+      this.spotting.distance = this.spottingDistance();
+      // A lap started mid-track: never a record, and the sectors already passed stay closed
+      this.resetLap();
+      this.timing.sector = sectorAt(this.sectorStarts, start);
+      return this.spotting;
+    }
+
+    endSpotting() {
+      this.spotting = null;
+    }
+
+    // Metres from the bike to the apex of the corner being spotted; 0 once past it.
+    spottingDistance() {
+      if (!this.spotting) return null;
+      const L = this.state.trackLength;
+      const ahead = (this.spotting.apex * SEGMENT_LENGTH - this.state.position + L) % L;
+      return ahead > L / 2 ? 0 : ahead / SEGMENT_LENGTH * SEGMENT_METRES;
+    }
+
+    // ─── Braking Drill ────────────────────────────────────────────────────────
+
+    // Starts the drill on one corner, out of any race or corner spotting, with the player
+    // riding (D still hands a run to the demo rider, whose runs aren't kept). The first run
+    // starts straight away and each one after it DRILL_PAUSE after the last.
+    startDrill(cornerNumber) {
+      const corner = this.corners.find(c => c.number === cornerNumber);
+      if (!corner) return null;
+      const segs = this.segments;
+      const n = segs.length;
+      const turnIn = segs.findIndex(seg => seg.cornerIndex === cornerNumber);
+      let exit = turnIn;
+      while (segs[(exit + 1) % n].cornerIndex === cornerNumber) exit = (exit + 1) % n;
+      const lead = Math.round((Math.max(...DRILL_BOARDS, corner.brakingDistance) + DRILL_LEAD_M) / SEGMENT_METRES);
+
+      this.endRace();
+      this.endSpotting();
+      this.state.demo = false;
+      this.drill = {
+        corner,
+        start: (turnIn - lead + n) % n,
+        turnIn: lead,                          // segments from the start to the turn-in
+        exit: lead + (exit - turnIn + n) % n + 1, // and to the first segment past the corner
+        marks: buildDrillMarks(segs, corner, turnIn),
+        run: 0,
+      };
+      this.spawnDrill();
+      return this.drill;
+    }
+
+    endDrill() {
+      this.drill = null;
+    }
+
+    // Drops the bike at the start of the drill at the corner's entrySpeed (or the demo
+    // profile's speed there, if that is lower) for the next run.
+    spawnDrill() {
+      const s = this.state;
+      const d = this.drill;
+      const seg = this.segments[d.start];
+      const speed = Math.min(d.corner.entrySpeed / KMH_PER_MS, seg.aiSpeed);
+      // Each run is replayed on its own, never the end of the one before
+      this.replay = null;
+      this.replayFrames = [];
+      this.previous = null;
+      Object.assign(s, {
+        position: d.start * SEGMENT_LENGTH, speed, x: seg.aiX, gear: RidePhysics.gearFor(speed),
+        crashed: 0, crashCorner: null, runningWide: false, offTrack: false, currentCorner: null,
+      });
+      Object.assign(d, { run: d.run + 1, brakeOff: DRILL_BRAKE_OFF, brakingM: null, demo: s.demo, result: null, pause: 0 });
+      // Like a spotting run: a lap started mid-track is never a record
+      this.resetLap();
+      this.timing.valid = false;
+      this.timing.sector = sectorAt(this.sectorStarts, d.start);
+    }
+
+    // Segments covered since the start of the drill.
+    drillProgress() {
+      const L = this.state.trackLength;
+      return Math.floor((this.state.position - this.drill.start * SEGMENT_LENGTH + L) % L / SEGMENT_LENGTH);
+    }
+
+    // After each physics step: the braking point on the way in, the exit speed on the way
+    // out (or a bike stopped short of it), then the pause before the next run. The braking
+    // point is where the lever last went on after DRILL_BRAKE_OFF off it, so a dab for a
+    // corner on the way (T11 before T12) doesn't count and modulating the lever doesn't move it.
+    updateDrill(dt) {
+      const s = this.state;
+      const d = this.drill;
+      if (d.result) {
+        d.pause += dt;
+        if (d.pause >= DRILL_PAUSE) this.spawnDrill();
+        return;
+      }
+      d.demo = d.demo || s.demo;
+      const progress = this.drillProgress();
+      if (progress < d.turnIn) {
+        if (this.controls.brake < DRILL_BRAKE_ON) d.brakeOff += dt;
+        else {
+          if (d.brakeOff >= DRILL_BRAKE_OFF) d.brakingM = (d.turnIn - progress) * SEGMENT_METRES;
+          d.brakeOff = 0;
+        }
+      }
+      if (progress >= d.exit) this.finishDrillRun(s.speed * KMH_PER_MS, false);
+      else if (s.speed < DRILL_STOPPED) this.finishDrillRun(0, false);
+    }
+
+    // Scores the run and, unless the demo rode any of it, adds it to the corner's results.
+    finishDrillRun(exitKmh, crashed) {
+      const d = this.drill;
+      const corner = d.corner;
+      const score = scoreDrill(corner, d.brakingM, exitKmh, crashed);
+      const result = {
+        corner: corner.number,
+        run: d.run,
+        brakingM: d.brakingM,
+        exitKmh: Math.round(exitKmh),
+        crashed,
+        points: score.total,
+        brakingPoints: score.braking,
+        exitPoints: score.exit,
+        saved: !d.demo,
+      };
+      d.result = result;
+      if (result.saved) {
+        const rec = this.drillRecords[corner.number] || { runs: 0, best: null, recent: [] };
+        rec.runs++;
+        rec.recent = [...rec.recent, result.points].slice(-DRILL_RECENT);
+        if (!rec.best || result.points > rec.best.points) {
+          rec.best = { points: result.points, brakingM: result.brakingM, exitKmh: result.exitKmh, date: Date.now() };
+        }
+        this.drillRecords[corner.number] = rec;
+        saveDrillRecords(this.circuit.id, this.drillRecords);
+      }
+      this.emit('drillResult', result);
+    }
+
+    // ─── Replay ───────────────────────────────────────────────────────────────
+
+    recordReplay(dt) {
+      const s = this.state;
+      const frames = this.replayFrames;
+      this.replayClock += dt;
+      frames.push({
+        t: this.replayClock,
+        position: s.position,
+        x: s.x,
+        lean: s.lean,
+        crashed: s.crashed > 0,
+        rivals: this.rivals.map(r => ({ position: r.position, x: r.x, speed: r.speed, color: r.color })),
+      });
+      while (frames[0].t < this.replayClock - REPLAY_SECONDS) frames.shift();
+    }
+
+    // Plays the buffer back with the ride paused; false when there's nothing to show yet
+    // or a start or a name-that-corner approach is under way.
+    startReplay() {
+      const frames = this.replayFrames;
+      if (this.replay || this.spotting || (this.race && this.race.phase === 'lights')) return false;
+      if (frames.length < 2 || frames[frames.length - 1].t - frames[0].t < REPLAY_MIN_SECONDS) return false;
+      this.replay = { frames: [...frames], t: frames[0].t, cursor: 0 };
+      return true;
+    }
+
+    endReplay() {
+      this.replay = null;
+    }
+
+    updateReplay(dt) {
+      const r = this.replay;
+      r.t += dt;
+      if (r.t >= r.frames[r.frames.length - 1].t) this.endReplay();
+    }
+
+    // The buffer interpolated at the replay clock; positions are blended the short way round the lap.
+    replayFrame() {
+      const r = this.replay;
+      const frames = r.frames;
+      const L = this.state.trackLength;
+      while (r.cursor < frames.length - 2 && frames[r.cursor + 1].t <= r.t) r.cursor++;
+      const a = frames[r.cursor], b = frames[r.cursor + 1];
+      const f = b.t > a.t ? Math.min(Math.max((r.t - a.t) / (b.t - a.t), 0), 1) : 0;
+      const lerp = (p, q) => p + (q - p) * f;
+      return {
+        position: lerpPosition(a.position, b.position, f, L),
+        x: lerp(a.x, b.x),
+        lean: lerp(a.lean, b.lean),
+        crashed: a.crashed,
+        rivals: b.rivals.map((rb, i) => {
+          const ra = a.rivals[i] || rb;
+          return { ...rb, position: lerpPosition(ra.position, rb.position, f, L), x: lerp(ra.x, rb.x) };
+        }),
+      };
+    }
+
+    // The trackside camera the bike most recently passed, if it is still within its span.
+    trackCameraAt(position) {
+      const L = this.state.trackLength;
+      let best = null, bestGap = Infinity;
+      this.trackCameras.forEach(cam => {
+        const gap = (position - cam.position + L) % L;
+        if (gap < cam.span && gap < bestGap) { best = cam; bestGap = gap; }
+      });
+      return best;
+    }
+
+    renderReplay(ctx, W, H) {
+      const r = this.replay;
+      const frame = this.replayFrame();
+      const cam = this.trackCameraAt(frame.position);
+      const view = cam
+        ? { position: cam.position, height: TRACKSIDE_HEIGHT, x: 0, offset: cam.offset }
+        : this.chaseView(frame);
+      this.renderRoad(ctx, W, H, view, [...this.rivalSprites(frame.rivals), this.playerSprite(frame)]);
+      if (this.rain.length) drawRain(ctx, W, H, this.rain, 0, this.frameTime);
+
+      const first = r.frames[0].t, last = r.frames[r.frames.length - 1].t;
+      drawReplayBanner(ctx, cam ? I18n.t('hud.trackside', { corner: cam.corner }) : I18n.t('camera.chase'), (r.t - first) / (last - first));
+      if (frame.crashed) {
+        ctx.font = 'bold 48px Rajdhani';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#e8003d';
+        ctx.fillText(I18n.t('hud.crash'), W / 2, H * 0.35);
+      }
     }
 
     start() {
       this.running = true;
+      this.lastFrame = null;
+      this.accumulator = 0;
+      this.previous = null;
+      this.input.attach();
+      this.sound.start();
       this.loop();
     }
 
     stop() {
       this.running = false;
+      if (this.frame !== null) cancelAnimationFrame(this.frame);
+      this.frame = null;
+      if (this.input) this.input.detach();
+      this.sound.stop();
     }
 
-    loop() {
+    // Stops the engine for good before it is dropped: no input listeners, no frame
+    // pending, no subscribers and no audio left.
+    destroy() {
+      this.stop();
+      this.sound.close();
+      this.listeners = {};
+      this.replay = null;
+      this.replayFrames = [];
+      if (this.input) {
+        this.input.onShiftUp = this.input.onShiftDown = null;
+        this.input.onDemoToggle = this.input.onCameraChange = this.input.onReplay = null;
+        this.input = null;
+      }
+    }
+
+    // Fixed-step physics whatever the display's refresh rate: the frame time is banked and
+    // spent in whole STEPs, and the remainder decides how far between the last two steps to draw.
+    loop(now = performance.now()) {
       if (!this.running) return;
-      this.update();
-      this.render();
-      requestAnimationFrame(() => this.loop());
+      this.frameTime = this.lastFrame === null ? 0 : Math.min((now - this.lastFrame) / 1000, MAX_FRAME_TIME);
+      this.lastFrame = now;
+      this.accumulator += this.frameTime;
+      while (this.accumulator >= STEP) {
+        this.previous = this.snapshot();
+        this.update(STEP);
+        this.accumulator -= STEP;
+      }
+      this.render(this.accumulator / STEP);
+      this.sound.update(this.replay ? null : this.state, this.controls);
+      this.frame = requestAnimationFrame(t => this.loop(t));
     }
 
-    update() {
+    snapshot() {
       const s = this.state;
-      const k = this.keys;
-
-      // Demo AI (follows the real path)
-      if (s.demo) {
-        const seg = this.segments[Math.floor(s.position / SEGMENT_LENGTH) % this.segments.length];
-        const targetX = -seg.curve * 0.4;
-        if (s.x < targetX) s.x += 0.05;
-        if (s.x > targetX) s.x -= 0.05;
-
-        const curveLimit = Math.abs(seg.curve);
-        const targetSpeed = curveLimit > 1.0 ? 120 : MAX_SPEED;
-        if (s.speed < targetSpeed) s.speed += ACCELERATION;
-        else s.speed -= BRAKING;
-      } else {
-        // Human controls
-        if (k['ArrowUp']) s.speed = Math.min(s.speed + ACCELERATION, MAX_SPEED);
-        else if (k['ArrowDown']) s.speed = Math.max(s.speed - BRAKING, 0);
-        else s.speed = Math.max(s.speed - DECEL, 0);
-
-        const steer = 0.005 * (s.speed / MAX_SPEED);
-        if (k['ArrowLeft']) s.x -= steer;
-        if (k['ArrowRight']) s.x += steer;
+      return {
+        position: s.position,
+        x: s.x,
+        lean: s.lean,
+        rivals: this.rivals.map(r => ({ position: r.position, x: r.x })),
+      };
+    }
+
+    // The bikes `alpha` of the way from the previous step to the current one.
+    interpolated(alpha) {
+      const s = this.state, p = this.previous;
+      if (!p || alpha >= 1) return { player: s, rivals: this.rivals };
+      const L = s.trackLength;
+      const lerp = (a, b) => a + (b - a) * alpha;
+      return {
+        player: { ...s, position: lerpPosition(p.position, s.position, alpha, L), x: lerp(p.x, s.x), lean: lerp(p.lean, s.lean) },
+        rivals: this.rivals.map((r, i) => {
+          const q = p.rivals[i];
+          return q ? { ...r, position: lerpPosition(q.position, r.position, alpha, L), x: lerp(q.x, r.x) } : r;
+        }),
+      };
+    }
+
+    // One physics step of dt seconds.
+    update(dt) {
+      const s = this.state;
+      this.controls = this.input.read();
+
+      // A replay holds everything else, in a drill the run and the pause before the next one
+      if (this.replay) {
+        this.updateReplay(dt);
+        return;
       }
 
-      // Physics logic
-      const segIndex = Math.floor(s.position / SEGMENT_LENGTH) % this.segments.length;
-      const currSeg = this.segments[segIndex];
+      if (this.race && this.race.phase === 'lights') {
+        this.updateStartLights(dt);
+        return;
+      }
 
-      // Centrifugal force
-      s.x -= currSeg.curve * CENTRIFUGAL * (s.speed / MAX_SPEED) * 0.01;
+      this.recordReplay(dt);
+      this.updateRivals(dt);
 
-      // Off-road penalty
-      if (Math.abs(s.x) > 1.0) s.speed *= OFFROAD_DECEL;
+      if (s.crashed > 0) {
+        s.crashed -= dt;
+        if (s.crashed <= 0) this.restartAfterCrash();
+        this.updateTiming(dt, false);
+        return;
+      }
 
-      s.position += s.speed;
-      if (s.position > s.trackLength) {
-        s.position -= s.trackLength;
-        if (window.App && window.App.onLapComplete) window.App.onLapComplete();
+      const step = RidePhysics.stepRider(s, this.controls, this.segments, this.rivals, this.grip, dt);
+      const currSeg = step.segment;
+      this.controls = step.controls;
+      this.slipstream = step.slipstream;
+      if (step.crashed) {
+        this.crash(currSeg.cornerIndex);
+        if (this.drill && !this.drill.result) this.finishDrillRun(0, true);
+        return;
       }
+      if (step.offTrack && !s.offTrack) this.emit('offTrack', { corner: currSeg.cornerIndex, surface: currSeg.surface });
+      s.offTrack = step.offTrack;
 
+      if (currSeg.cornerIndex && currSeg.cornerIndex !== s.currentCorner) {
+        this.emit('cornerEntered', this.corners.find(c => c.number === currSeg.cornerIndex));
+      }
       s.currentCorner = currSeg.cornerIndex;
+
+      if (this.spotting && this.spottingDistance() === 0) {
+        const corner = this.spotting.corner;
+        this.endSpotting();
+        this.emit('apexReached', corner);
+      }
+
+      if (this.drill) {
+        // The line crossed on the way to T1 doesn't complete a lap
+        this.updateTiming(dt, false);
+        this.updateDrill(dt);
+        return;
+      }
+
+      const lap = this.updateTiming(dt, step.lapped);
+      if (lap && this.race) this.raceLap(lap);
+      if (lap) this.emit('lapComplete', lap);
     }
 
-    render() {
-      const ctx = this.ctx;
-      const W = this.canvas.width, H = this.canvas.height;
+    // A crashed player is ghosted until the restart.
+    updateRivals(dt) {
+      const s = this.state;
+      RidePhysics.stepRivals(this.rivals, s.crashed > 0 ? null : s, this.segments, this.grip, dt);
+    }
+
+    // 1-based race position by laps and distance covered.
+    racePosition() {
+      const s = this.state;
+      const mine = this.lap * s.trackLength + s.position;
+      return 1 + this.rivals.filter(r => r.lap * s.trackLength + r.position > mine).length;
+    }
+
+    crash(cornerNumber) {
+      const s = this.state;
+      s.crashed = CRASH_TIME;
+      s.speed = 0;
+      s.rpm = 0;
+      s.limiter = false;
+      s.runningWide = false;
+      s.crashCorner = cornerNumber;
+      this.timing.valid = false;
+    }
+
+    // Back on track, stationary, at the start of the braking zone that was missed; in a
+    // drill, at the start of the next run instead.
+    restartAfterCrash() {
+      if (this.drill) {
+        this.spawnDrill();
+        return;
+      }
       const s = this.state;
       const segs = this.segments;
+      let restart = segs.findIndex(seg => seg.cornerIndex === s.crashCorner);
+      while (restart > 0 && segs[restart - 1].brakeFor === s.crashCorner) restart--;
+      s.position = Math.max(restart, 0) * SEGMENT_LENGTH;
+      s.x = 0;
+      s.gear = 1;
+      s.crashed = 0;
+      s.crashCorner = null;
+      this.previous = null;
+    }
 
-      ctx.clearRect(0, 0, W, H);
-      drawBackground(ctx, W, H, s.x);
+    // Advances the lap clock; returns the completed lap when the line is crossed.
+    updateTiming(dt, lapped) {
+      const t = this.timing;
+      t.lapTime += dt;
+      if (this.state.demo) t.valid = false;
+
+      if (lapped) return this.completeLap();
+      const last = this.recording[this.recording.length - 1];
+      if (!last || t.lapTime - last[0] >= GHOST_INTERVAL) recordFrame(this.recording, t.lapTime, this.state);
+
+      const segIndex = Math.floor(this.state.position / SEGMENT_LENGTH) % this.segments.length;
+      if (t.segTimes[segIndex] === undefined) {
+        t.segTimes[segIndex] = t.lapTime;
+        const s = this.state;
+        recordTelemetry(this.telemetry, s, this.controls, s.position / s.trackLength * this.circuit.lengthM);
+      }
+
+      if (sectorAt(this.sectorStarts, segIndex) > t.sector) this.closeSector();
+      return null;
+    }
+
+    closeSector() {
+      const t = this.timing;
+      const split = t.lapTime - t.sectorStart;
+      const best = this.records.bestSectors[t.sector];
+      const improved = t.valid && (best == null || split < best);
+      t.splits.push(split);
+      t.splitImproved.push(improved);
+      this.emit('sectorSplit', { sector: t.sector, time: split, improved });
+      t.sectorStart = t.lapTime;
+      t.sector++;
+    }
+
+    completeLap() {
+      const t = this.timing;
+      this.closeSector();
+
+      const lap = { time: t.lapTime, sectors: t.splits, valid: t.valid, date: Date.now(), telemetry: this.telemetry };
+      const rec = this.records;
+
+      if (lap.valid) {
+        lap.sectors.forEach((split, i) => {
+          if (rec.bestSectors[i] == null || split < rec.bestSectors[i]) rec.bestSectors[i] = split;
+        });
+        lap.personalBest = !rec.bestLap || lap.time < rec.bestLap.time;
+        if (lap.personalBest) {
+          const { telemetry, ...best } = lap;
+          rec.bestLap = { ...best, segTimes: t.segTimes };
+        }
+        rec.laps = [...rec.laps, { time: lap.time, sectors: lap.sectors, date: lap.date }]
+          .sort((a, b) => a.time - b.time)
+          .slice(0, MAX_SAVED_LAPS);
+        saveRecords(this.circuit.id, rec);
+      }
 
-      const startIndex = Math.floor(s.position / SEGMENT_LENGTH) % segs.length;
-      const camHeight = CAMERA_HEIGHT;
-      const camZ = s.position % SEGMENT_LENGTH;
+      // The ghost is always the fastest lap seen, whether ridden here or imported
+      if (lap.valid && (!this.ghost || lap.time < this.ghost.lapTime)) {
+        this.ghost = { version: GHOST_VERSION, circuit: this.circuit.id, lapTime: lap.time, date: lap.date, frames: this.recording };
+        saveGhost(this.circuit.id, this.ghost);
+      }
+      this.lastLap = lap;
+      this.lap++;
+      this.resetLap();
+      return lap;
+    }
+
+    // Fresh lap clock, ghost recording and telemetry.
+    resetLap() {
+      this.recording = [];
+      this.telemetry = [];
+      this.ghostCursor = 0;
+      this.timing = newLapTiming(!this.state.demo);
+    }
+
+    // Interpolated ghost position at lap time t (default now), or null past its finish.
+    ghostState(t = this.timing.lapTime) {
+      const g = this.ghost;
+      if (!g) return null;
+      const frames = g.frames;
+      if (t > frames[frames.length - 1][0]) return null;
+
+      while (this.ghostCursor < frames.length - 2 && frames[this.ghostCursor + 1][0] <= t) this.ghostCursor++;
+      const a = frames[this.ghostCursor], b = frames[this.ghostCursor + 1];
+      const f = b[0] > a[0] ? Math.min(Math.max((t - a[0]) / (b[0] - a[0]), 0), 1) : 0;
+      return { position: a[1] + (b[1] - a[1]) * f, x: a[2] + (b[2] - a[2]) * f };
+    }
+
+    exportGhost() {
+      return this.ghost;
+    }
+
+    importGhost(data) {
+      validateGhost(data);
+      if (data.circuit !== this.circuit.id) throw new Error(`Ghost was not recorded on ${this.circuit.name}`);
+      this.ghost = data;
+      this.ghostCursor = 0;
+      saveGhost(this.circuit.id, this.ghost);
+    }
+
+    // Seconds up (+) or down (-) on the best lap at the current track position.
+    deltaToBest() {
+      const best = this.records.bestLap;
+      if (!best || !best.segTimes) return null;
+      const segIndex = Math.floor(this.state.position / SEGMENT_LENGTH) % this.segments.length;
+      const ref = best.segTimes[segIndex];
+      return ref == null ? null : this.timing.lapTime - ref;
+    }
+
+    // Road view from a camera { position, height, x, offset }: `x` is the onboard rider's
+    // lateral drift, `offset` a fixed sideways shift of the camera in world units.
+    // Sprites are bikes { position, x, lean, color, alpha }, drawn in depth order with the scenery.
+    renderRoad(ctx, W, H, view, sprites) {
+      const segs = this.segments;
+      const L = this.state.trackLength;
+
+      const cond = CONDITIONS[this.conditions];
+      drawBackground(ctx, W, H, view.x + view.offset / ROAD_WIDTH, cond);
+
+      const startIndex = Math.floor(view.position / SEGMENT_LENGTH) % segs.length;
+      const camZ = view.position % SEGMENT_LENGTH;
+      const here = segs[startIndex], ahead = segs[(startIndex + 1) % segs.length];
+      const camY = view.height + here.y + (ahead.y - here.y) * (camZ / SEGMENT_LENGTH);
 
       let xAccum = 0;
       const proj = [];
 
+      // Sprites bucketed by the projected segment they fall in, with the fraction `t` of the
+      // way from its near edge to its far edge
+      const spritesAt = {};
+      sprites.forEach(sprite => {
+        const k = ((sprite.position - view.position + L) % L - SEGMENT_LENGTH + camZ) / SEGMENT_LENGTH;
+        if (k <= 0 || k >= DRAW_DISTANCE - 1) return;
+        const i = Math.ceil(k);
+        (spritesAt[i] = spritesAt[i] || []).push({ sprite, t: k - (i - 1) });
+      });
+
       // Project visible segments
       for (let i = 0; i < DRAW_DISTANCE; i++) {
         const seg = segs[(startIndex + i) % segs.length];
         const scale = CAMERA_DEPTH / (i * SEGMENT_LENGTH + SEGMENT_LENGTH - camZ);
-        const screenX = (W / 2) + (xAccum - s.x * i * SEGMENT_LENGTH * scale * 0.5);
-        const screenY = (H / 2) + (H / 2 * (1 - i / DRAW_DISTANCE)); // Road stays at bottom half
-        const roadW = ROAD_WIDTH * scale * W;
+        const screenX = (W / 2) + (xAccum - view.x * i * SEGMENT_LENGTH * scale * 0.5) - view.offset * scale * W;
+        const screenY = (H / 2) + (camY - seg.y) * scale * (H / 2);   // perspective: crests rise, dips fall away
+        const roadW = ROAD_WIDTH * (seg.width / STANDARD_WIDTH_M) * scale * W;
         proj.push({ seg, screenX, screenY, roadW, scale });
         xAccum += seg.curve * 10;
       }
 
-      // Draw segments back-to-front
+      // Draw segments back-to-front, so nearer road paints over whatever a crest hides
       for (let i = DRAW_DISTANCE - 1; i > 0; i--) {
         const p1 = proj[i], p2 = proj[i - 1];
-        if (p1.screenY < H / 2) continue; // Skip above horizon
+        if (p1.screenY >= p2.screenY || p1.screenY >= H) continue; // facing away (over a crest) or below the screen
 
         const col = p1.seg.color;
-        const grass = col === 0 ? COLOR.GRASS1 : COLOR.GRASS2;
-        const road = col === 0 ? COLOR.ROAD1 : COLOR.ROAD2;
+        const grass = cond.grass[col];
+        const road = cond.road[col];
         const rumble = col === 0 ? COLOR.RUMBLE1 : COLOR.RUMBLE2;
 
         // Ground/Grass
@@ -397,27 +1704,105 @@ const RideEngine = (() => {
         }
 
         // Texture Noise
-        drawAsphaltNoise(ctx, p1.screenX, p1.screenY, p1.roadW, p1.screenY - p2.screenY);
+        drawAsphaltNoise(ctx, p1.screenX, p1.screenY, p1.roadW, p1.screenY - p2.screenY, p1.seg.noise);
 
         // Objects
         p1.seg.objects.forEach(obj => {
           const ox = p1.screenX + obj.offset * p1.roadW * 3;
           drawObject(ctx, obj, ox, p1.screenY, p1.scale * 10);
         });
+        if (this.drill && this.drill.marks[p1.seg.index]) {
+          this.drill.marks[p1.seg.index].forEach(mark => drawDrillMark(ctx, mark, p1, p2));
+        }
+
+        // Bikes, farthest first
+        (spritesAt[i] || []).sort((a, b) => b.t - a.t).forEach(({ sprite, t }) => {
+          const lerp = key => p2[key] + (p1[key] - p2[key]) * t;
+          const roadW = lerp('roadW');
+          drawRider(ctx, lerp('screenX') + sprite.x * roadW, lerp('screenY'), roadW * RIDER_HEIGHT, sprite.alpha, sprite.color, sprite.lean);
+        });
 
         // Fog overlay
         const fog = i / DRAW_DISTANCE;
-        if (fog > 0.4) {
-          ctx.fillStyle = `rgba(15,15,30, ${(fog - 0.4) * 2})`;
+        if (fog > cond.fogStart) {
+          ctx.fillStyle = `rgba(${cond.fog.join(',')}, ${Math.min((fog - cond.fogStart) * 2, 1)})`;
           ctx.fillRect(0, p2.screenY, W, p1.screenY - p2.screenY + 1);
         }
       }
+    }
 
-      drawDashboard(ctx, W, H, s);
+    onboardView(bike) {
+      return { position: bike.position, height: CAMERA_HEIGHT, x: bike.x, offset: 0 };
+    }
+
+    // Behind and above `bike`, following part of its lateral movement.
+    chaseView(bike) {
+      const L = this.state.trackLength;
+      return { position: (bike.position - CHASE_DISTANCE + L) % L, height: CHASE_HEIGHT, x: 0, offset: bike.x * ROAD_WIDTH * CHASE_FOLLOW };
+    }
+
+    segmentAt(position) {
+      return this.segments[Math.floor(position / SEGMENT_LENGTH) % this.segments.length];
+    }
+
+    // Sprites for rivals (live or from a replay frame), leaning into the curve they're on.
+    rivalSprites(rivals) {
+      return rivals.map(r => ({
+        position: r.position, x: r.x, lean: leanFor(this.segmentAt(r.position).curve, r.speed), color: r.color, alpha: 1,
+      }));
+    }
+
+    playerSprite(bike) {
+      const lean = bike.crashed ? LEAN_CRASHED * (Math.sign(bike.lean) || 1) : bike.lean;
+      return { position: bike.position, x: bike.x, lean, color: COLOR.PLAYER, alpha: 1 };
+    }
+
+    // alpha: how far the frame falls between the previous physics step and the current one.
+    render(alpha = 1) {
+      const ctx = this.ctx;
+      const W = this.canvas.width, H = this.canvas.height;
+
+      ctx.clearRect(0, 0, W, H);
+      if (this.replay) {
+        this.renderReplay(ctx, W, H);
+        return;
+      }
+
+      const { player: s, rivals } = this.interpolated(alpha);
+      const sprites = this.rivalSprites(rivals);
+      const ghost = this.ghostState(this.timing.lapTime - (1 - alpha) * STEP);
+      if (ghost) sprites.push({ ...ghost, lean: 0, color: COLOR.PLAYER, alpha: GHOST_ALPHA });
+      const player = this.playerSprite({ ...s, crashed: s.crashed > 0 });
+
+      if (this.camera === 'topdown') {
+        const metres = position => position / s.trackLength * this.circuit.lengthM;
+        const bikes = [...sprites, player].map(b => ({ ...b, metres: metres(b.position) }));
+        drawTopDown(ctx, W, H, this.circuit, metres(s.position), bikes, CONDITIONS[this.conditions]);
+      } else if (this.camera === 'chase') {
+        this.renderRoad(ctx, W, H, this.chaseView(s), [...sprites, player]);
+      } else {
+        this.renderRoad(ctx, W, H, this.onboardView(s), sprites);
+      }
+      if (this.rain.length) drawRain(ctx, W, H, this.rain, s.speed / MAX_SPEED, this.frameTime);
+
+      if (this.input.touch.used) drawTouchZones(ctx, W, H, this.input.touch);
+      drawDashboard(ctx, W, H, s, this.deltaToBest(), this.controls, s.autoShift || s.demo);
+      drawTiming(ctx, W, this.timing, this.records, this.lastLap);
+      if (this.rivals.length) drawPosition(ctx, W, this.racePosition(), this.rivals.length + 1, this.slipstream);
+      if (this.race) {
+        const r = this.race;
+        drawLapCounter(ctx, W, Math.min(this.lap + 1, r.laps), r.laps);
+        if (r.phase === 'lights') drawStartLights(ctx, W, H, r.lights);
+        if (r.phase === 'finished') drawChequeredFlag(ctx, W, H);
+      }
 
       // Mini-Overlay for corner name
-      if (s.currentCorner) {
-        const c = this.corners[s.currentCorner - 1];
+      if (this.spotting) {
+        drawSpotting(ctx, W, this.spottingDistance());
+      } else if (this.drill) {
+        drawDrill(ctx, W, this.drill);
+      } else if (s.currentCorner) {
+        const c = this.corners.find(corner => corner.number === s.currentCorner);
         ctx.fillStyle = 'rgba(0,0,0,0.8)';
         ctx.fillRect(W / 2 - 100, 20, 200, 40);
         ctx.fillStyle = '#e8003d';
@@ -425,9 +1810,23 @@ const RideEngine = (() => {
         ctx.textAlign = 'center';
         ctx.fillText(`T${c.number} ${c.name.toUpperCase()}`, W / 2, 48);
       }
+
+      // Grip warnings
+      if (s.crashed > 0 || s.runningWide) {
+        ctx.font = `bold ${s.crashed > 0 ? 48 : 28}px Rajdhani`;
+        ctx.textAlign = 'center';
+        ctx.fillStyle = s.crashed > 0 ? '#e8003d' : '#f5a623';
+        ctx.fillText(I18n.t(s.crashed > 0 ? 'hud.crash' : 'hud.runningWide'), W / 2, H * 0.35);
+      }
     }
   }
 
+  RideEngine.formatLapTime = formatLapTime;
+  RideEngine.CAMERAS = CAMERAS;
+  RideEngine.GEARBOXES = GEARBOXES;
+  RideEngine.DRILL_BRAKING = DRILL_BRAKING;
+  RideEngine.CONDITIONS = Object.keys(CONDITIONS);
+
   return RideEngine;
 })();
 
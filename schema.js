@@ -0,0 +1,124 @@
+/**
+ * schema.js — Corner Data Schema
+ * Buriram GP MotoGP Circuit Simulator
+ *
+ * The fields every corner record carries (data/corners.json, CORNERS_DATA and
+ * the `corners` of a circuit package) with their types and allowed ranges.
+ * The corner editor builds its form from FIELDS and checks edits with it; the
+ * loaders check whole data sets with validateCorners(). The optional
+ * brakingMarker is checked on its own, outside the editor form.
+ */
+
+'use strict';
+
+const CornerSchema = (() => {
+
+  // type: integer | number | string | enum | text (plain string or { en, it, … }, English required)
+  const FIELDS = [
+    { key: 'id', type: 'integer', min: 1, max: 99 },
+    { key: 'number', type: 'integer', min: 1, max: 99 },
+    { key: 'name', type: 'string' },
+    { key: 'direction', type: 'enum', values: ['right', 'left'] },
+    { key: 'entrySpeed', type: 'number', min: 0, max: 400 },
+    { key: 'exitSpeed', type: 'number', min: 0, max: 400 },
+    { key: 'gear', type: 'integer', min: 1, max: 6 },
+    { key: 'brakingDifficulty', type: 'integer', min: 0, max: 10 },
+    { key: 'brakingDistance', type: 'number', min: 0, max: 1000 },
+    { key: 'decelG', type: 'number', min: 0, max: 3 },
+    { key: 'character', type: 'text' },
+    { key: 'tip', type: 'text' },
+    { key: 'landmark', type: 'text' },
+  ];
+
+  // brakingMarker (optional): the marker a rider brakes at, drawn by the Ride 3D braking
+  // drill at brakingDistance before the turn-in. side and color are optional too.
+  const MARKER_KINDS = ['line', 'board'];
+  const MARKER_SIDES = ['left', 'right'];
+  const MARKER_COLOR = /^#[0-9a-f]{6}$/i;
+
+  // 8+ on the severity scale in directives/circuit-data.md is "very hard, significant
+  // deceleration": such a corner can't be left faster than it was entered. Lighter
+  // braking corners (T4, T10) may accelerate through.
+  const BRAKING_CORNER = 8;
+
+  function checkField(field, value) {
+    const fail = (key, params = {}) => I18n.t(key, { field: field.key, ...params });
+    if (value === undefined || value === null || value === '') return fail('schema.required');
+
+    switch (field.type) {
+      case 'integer':
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) return fail('schema.number');
+        if (field.type === 'integer' && !Number.isInteger(value)) return fail('schema.integer');
+        if (value < field.min || value > field.max) return fail('schema.range', { min: field.min, max: field.max });
+        return null;
+      case 'string':
+        return typeof value === 'string' && value.trim() ? null : fail('schema.required');
+      case 'enum':
+        return field.values.includes(value) ? null : fail('schema.enum', { values: field.values.join(' / ') });
+      case 'text': {
+        const en = typeof value === 'string' ? value : value.en;
+        return typeof en === 'string' && en.trim() ? null : fail('schema.text');
+      }
+    }
+    return null;
+  }
+
+  // Problems with a corner's brakingMarker, as [{ field, message }]; none when it has none.
+  function checkMarker(marker) {
+    if (marker === undefined) return [];
+    const fail = (field, key, params = {}) => ({ field: 'brakingMarker', message: I18n.t(key, { field, ...params }) });
+    if (!marker || typeof marker !== 'object') return [fail('brakingMarker', 'schema.marker')];
+    const errors = [];
+    if (!MARKER_KINDS.includes(marker.kind)) errors.push(fail('brakingMarker.kind', 'schema.enum', { values: MARKER_KINDS.join(' / ') }));
+    if (marker.side !== undefined && !MARKER_SIDES.includes(marker.side)) {
+      errors.push(fail('brakingMarker.side', 'schema.enum', { values: MARKER_SIDES.join(' / ') }));
+    }
+    if (marker.color !== undefined && !MARKER_COLOR.test(marker.color)) errors.push(fail('brakingMarker.color', 'schema.color'));
+    return errors;
+  }
+
+  // Every problem with one corner, as [{ field, message }]; empty when valid.
+  function validateCorner(corner) {
+    if (!corner || typeof corner !== 'object') return [{ field: null, message: I18n.t('schema.notObject') }];
+    const errors = [];
+    FIELDS.forEach(field => {
+      const message = checkField(field, corner[field.key]);
+      if (message) errors.push({ field: field.key, message });
+    });
+    if (!errors.length && corner.brakingDifficulty >= BRAKING_CORNER && corner.entrySpeed < corner.exitSpeed) {
+      errors.push({ field: 'exitSpeed', message: I18n.t('schema.braking', { min: BRAKING_CORNER }) });
+    }
+    errors.push(...checkMarker(corner.brakingMarker));
+    return errors;
+  }
+
+  // A whole corner list: every corner valid, each of the circuit's corner numbers
+  // exactly once. Errors carry the corner number they belong to (null = the list).
+  function validateCorners(list, numbers) {
+    if (!Array.isArray(list)) return [{ corner: null, field: null, message: I18n.t('schema.notArray') }];
+    const errors = [];
+    list.forEach(c => validateCorner(c).forEach(e => errors.push({ corner: c && c.number, ...e })));
+
+    const seen = new Set();
+    list.forEach(c => {
+      if (!c) return;
+      if (seen.has(c.number)) errors.push({ corner: c.number, field: 'number', message: I18n.t('schema.duplicate') });
+      else if (!numbers.includes(c.number)) errors.push({ corner: c.number, field: 'number', message: I18n.t('schema.unknown') });
+      seen.add(c.number);
+    });
+    numbers.filter(n => !seen.has(n)).forEach(n => errors.push({ corner: n, field: null, message: I18n.t('schema.missing') }));
+    if (list.length !== numbers.length) {
+      errors.push({ corner: null, field: null, message: I18n.t('schema.count', { expected: numbers.length, found: list.length }) });
+    }
+    return errors;
+  }
+
+  function formatError(e) {
+    return e.corner != null ? `T${e.corner} · ${e.message}` : e.message;
+  }
+
+  return { FIELDS, validateCorner, validateCorners, formatError };
+})();
+
+window.CornerSchema = CornerSchema;
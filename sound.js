@@ -0,0 +1,181 @@
+/**
+ * sound.js — Ride 3D Engine Sound
+ * Buriram GP MotoGP Circuit Simulator
+ *
+ * Synthesises the bike with Web Audio, without samples: an engine note pitched
+ * by the revs and opened up by the throttle, a hiss of brakes and tyres under
+ * braking, and exhaust pops on every change down. RideEngine feeds it the
+ * rider's state once a frame; without Web Audio it stays silent.
+ */
+
+'use strict';
+
+const RideSound = (() => {
+
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+
+  // ─── Engine Note ────────────────────────────────────────────────────────────
+  // A four-cylinder four-stroke fires twice per revolution: 600 Hz at the limiter.
+  const FIRINGS_PER_REV = 2;
+  const ENGINE_VOLUME = 0.12;
+  const ENGINE_CLOSED = 0.35;      // share of ENGINE_VOLUME off the throttle
+  const FILTER_CLOSED = 500;       // Hz; the lowpass opens with the throttle
+  const FILTER_OPEN = 4000;
+  const LIMITER_RATE = 25;         // ignition cuts per second on the limiter
+  const LIMITER_DIP = 0.3;         // volume left during a cut
+  const SMOOTHING = 0.03;          // seconds; time constant of every pitch and level change
+
+  // ─── Brakes ─────────────────────────────────────────────────────────────────
+  const BRAKE_VOLUME = 0.08;       // at full lever and top speed
+  const BRAKE_FREQUENCY = 2500;    // Hz, centre of the hiss
+
+  // ─── Downshift ──────────────────────────────────────────────────────────────
+  const POPS = 2;
+  const POP_GAP = 0.07;            // seconds between the pops of one change
+  const POP_LENGTH = 0.05;
+  const POP_VOLUME = 0.3;
+  const POP_FREQUENCY = 350;       // Hz, lowpass on the pops
+
+  const GESTURES = ['keydown', 'pointerdown', 'touchstart'];
+
+  // One second of white noise, looped for the brakes and cut short for the pops.
+  function noiseBuffer(ctx) {
+    const buffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    return buffer;
+  }
+
+  class RideSound {
+    constructor() {
+      this.ctx = null;
+      this.nodes = null;           // see build()
+      this.enabled = true;
+      this.gear = null;            // gear at the last update, to hear the changes down
+      this.onGesture = () => this.resume();
+    }
+
+    static supported() {
+      return Boolean(AudioContextClass);
+    }
+
+    // Builds the graph on first use. A context made outside a click or key press starts
+    // suspended, so the next one the page sees resumes it.
+    start() {
+      if (!AudioContextClass) return;
+      if (!this.ctx) this.build();
+      this.resume();
+      GESTURES.forEach(type => window.addEventListener(type, this.onGesture));
+    }
+
+    stop() {
+      GESTURES.forEach(type => window.removeEventListener(type, this.onGesture));
+      if (this.ctx && this.ctx.state === 'running') this.ctx.suspend();
+    }
+
+    close() {
+      this.stop();
+      if (this.ctx) this.ctx.close();
+      this.ctx = null;
+      this.nodes = null;
+    }
+
+    resume() {
+      if (this.ctx && this.enabled && this.ctx.state === 'suspended') {
+        this.ctx.resume().catch(e => console.warn('Ride sound unavailable:', e));
+      }
+    }
+
+    setEnabled(on) {
+      this.enabled = on;
+      if (!this.ctx) return;
+      if (on) this.resume();
+      else if (this.ctx.state === 'running') this.ctx.suspend();
+    }
+
+    // Sawtooth at the firing frequency over a square an octave down, through a lowpass;
+    // looped noise through a bandpass for the brakes.
+    build() {
+      const ctx = this.ctx = new AudioContextClass();
+      const master = ctx.createGain();
+      master.connect(ctx.destination);
+
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.value = FILTER_CLOSED;
+      const engine = ctx.createGain();
+      engine.gain.value = 0;
+      filter.connect(engine).connect(master);
+
+      const note = ctx.createOscillator();
+      note.type = 'sawtooth';
+      const sub = ctx.createOscillator();
+      sub.type = 'square';
+      const subGain = ctx.createGain();
+      subGain.gain.value = 0.5;
+      note.connect(filter);
+      sub.connect(subGain).connect(filter);
+
+      const noise = noiseBuffer(ctx);
+      const hiss = ctx.createBufferSource();
+      hiss.buffer = noise;
+      hiss.loop = true;
+      const band = ctx.createBiquadFilter();
+      band.type = 'bandpass';
+      band.frequency.value = BRAKE_FREQUENCY;
+      const brake = ctx.createGain();
+      brake.gain.value = 0;
+      hiss.connect(band).connect(brake).connect(master);
+
+      [note, sub, hiss].forEach(source => source.start());
+      this.nodes = { master, filter, engine, note, sub, brake, noise };
+    }
+
+    // bike is the rider's state ({ rpm, gear, limiter, speed, crashed }), or null for
+    // silence (a replay); controls are the pedals of the last step.
+    update(bike, controls) {
+      if (!this.nodes || this.ctx.state !== 'running') return;
+      const { filter, engine, note, sub, brake } = this.nodes;
+      const now = this.ctx.currentTime;
+      const running = bike && !(bike.crashed > 0);
+      const set = (param, value) => param.setTargetAtTime(value, now, SMOOTHING);
+
+      if (running && this.gear !== null && bike.gear < this.gear) this.downshift();
+      this.gear = running ? bike.gear : null;
+
+      const rpm = running ? bike.rpm || 0 : 0;
+      const frequency = Math.max(rpm / 60 * FIRINGS_PER_REV, 1);
+      set(note.frequency, frequency);
+      set(sub.frequency, frequency / 2);
+      set(filter.frequency, FILTER_CLOSED + (FILTER_OPEN - FILTER_CLOSED) * controls.throttle);
+
+      let volume = running ? ENGINE_VOLUME * (ENGINE_CLOSED + (1 - ENGINE_CLOSED) * controls.throttle) : 0;
+      if (running && bike.limiter && Math.floor(now * LIMITER_RATE) % 2) volume *= LIMITER_DIP;
+      set(engine.gain, volume);
+      set(brake.gain, running ? BRAKE_VOLUME * controls.brake * Math.min(bike.speed / RidePhysics.MAX_SPEED, 1) : 0);
+    }
+
+    // Short bursts of low noise, as the blip on the change down fires into the exhaust.
+    downshift() {
+      const { master, noise } = this.nodes;
+      const start = this.ctx.currentTime;
+      for (let i = 0; i < POPS; i++) {
+        const t = start + i * POP_GAP;
+        const pop = this.ctx.createBufferSource();
+        pop.buffer = noise;
+        const filter = this.ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = POP_FREQUENCY;
+        const gain = this.ctx.createGain();
+        gain.gain.setValueAtTime(POP_VOLUME, t);
+        gain.gain.exponentialRampToValueAtTime(0.001, t + POP_LENGTH);
+        pop.connect(filter).connect(gain).connect(master);
+        pop.start(t, Math.random() * (noise.duration - POP_LENGTH), POP_LENGTH);
+      }
+    }
+  }
+
+  return RideSound;
+})();
+
+window.RideSound = RideSound;
@@ -0,0 +1,192 @@
+/**
+ * telemetry.js — Lap Telemetry Charts
+ * Buriram GP MotoGP Circuit Simulator
+ *
+ * Plots the samples RideEngine records per lap (speed, throttle, brake against
+ * distance) over the corner data, so a rider can compare their braking points
+ * and corner speeds with the reference MotoGP numbers in CORNERS_DATA.
+ */
+
+'use strict';
+
+const Telemetry = (() => {
+
+  const PAD = { left: 44, right: 12, top: 22, bottom: 22 };
+  const SPEED_SHARE = 0.7;         // of the plot height; the pedal traces get the rest
+  const PANEL_GAP = 14;
+  const SPEED_STEP = 50;           // km/h between grid lines
+  const DISTANCE_STEP = 500;       // metres between axis labels
+  const BRAKE_THRESHOLD = 0.05;    // lighter than this is a trailing finger, not braking
+  const BRAKE_SEARCH = 200;        // metres before the reference point to look for the rider's
+
+  const COLOR = {
+    background: '#0a0a14',
+    grid: 'rgba(255,255,255,0.06)',
+    label: '#8a8a9a',
+    corner: 'rgba(245,166,35,0.08)',
+    cornerLabel: '#f5a623',
+    speed: '#f0f0f0',
+    entry: '#f5a623',
+    exit: '#00d4aa',
+    brakeRef: 'rgba(232,0,61,0.7)',
+    throttle: 'rgba(0,212,170,0.6)',
+    brake: 'rgba(232,0,61,0.7)',
+  };
+
+  // Samples are recorded in the order segments were first reached; plot them by distance.
+  function sortByDistance(samples) {
+    return [...samples].sort((a, b) => a[0] - b[0]);
+  }
+
+  function sampleAt(sorted, distance) {
+    let best = null;
+    for (const s of sorted) {
+      if (!best || Math.abs(s[0] - distance) < Math.abs(best[0] - distance)) best = s;
+      if (s[0] > distance) break;
+    }
+    return best;
+  }
+
+  // Per corner: where the rider started braking and the speeds they carried,
+  // next to the reference figures. The reference entry speed is the speed on arrival
+  // at the braking point, so it is compared there. brakeEarlyM > 0 means braking
+  // before the reference point.
+  function analyse(samples, corners, circuit) {
+    const sorted = sortByDistance(samples);
+    return corners.map((c, i) => {
+      const range = circuit.cornerRange(c.number);
+      const entryM = range.start;
+      const exitM = Math.min(range.end, circuit.lengthM);
+      const refBrakeM = entryM - c.brakingDistance;
+
+      // Search back from the turn-in, but never into the previous corner
+      const prev = i > 0 ? circuit.cornerRange(corners[i - 1].number) : null;
+      const searchFrom = Math.max(refBrakeM - BRAKE_SEARCH, prev && prev.end < entryM ? prev.end : 0);
+      const approach = sorted.filter(s => s[0] >= searchFrom && s[0] <= entryM);
+      const firstBrake = approach.find(s => s[3] > BRAKE_THRESHOLD);
+      const inCorner = sorted.filter(s => s[0] >= entryM && s[0] <= exitM);
+      const entry = sampleAt(sorted, Math.max(refBrakeM, 0));
+      const exit = sampleAt(sorted, exitM);
+
+      return {
+        number: c.number,
+        name: c.name,
+        entryM,
+        exitM,
+        refBrakeM,
+        brakeM: firstBrake ? firstBrake[0] : null,
+        brakeEarlyM: firstBrake ? Math.round(refBrakeM - firstBrake[0]) : null,
+        entryKmh: entry ? Math.round(entry[1]) : null,
+        exitKmh: exit ? Math.round(exit[1]) : null,
+        minKmh: inCorner.length ? Math.round(Math.min(...inCorner.map(s => s[1]))) : null,
+        refEntryKmh: c.entrySpeed,
+        refExitKmh: c.exitSpeed,
+      };
+    });
+  }
+
+  function draw(canvas, samples, corners, circuit) {
+    const ctx = canvas.getContext('2d');
+    const W = canvas.width, H = canvas.height;
+    const sorted = sortByDistance(samples);
+    const rows = analyse(samples, corners, circuit);
+
+    const plotW = W - PAD.left - PAD.right;
+    const plotH = H - PAD.top - PAD.bottom - PANEL_GAP;
+    const speedH = plotH * SPEED_SHARE;
+    const pedalTop = PAD.top + speedH + PANEL_GAP;
+    const pedalH = plotH - speedH;
+
+    const maxKmh = Math.ceil(Math.max(350, ...sorted.map(s => s[1])) / SPEED_STEP) * SPEED_STEP;
+    const xAt = d => PAD.left + (d / circuit.lengthM) * plotW;
+    const ySpeed = kmh => PAD.top + speedH * (1 - kmh / maxKmh);
+
+    ctx.fillStyle = COLOR.background;
+    ctx.fillRect(0, 0, W, H);
+
+    // Corner bands, labelled across the top
+    ctx.font = 'bold 11px Rajdhani';
+    ctx.textAlign = 'center';
+    rows.forEach(r => {
+      ctx.fillStyle = COLOR.corner;
+      ctx.fillRect(xAt(r.entryM), PAD.top, Math.max(xAt(r.exitM) - xAt(r.entryM), 1), plotH + PANEL_GAP);
+      ctx.fillStyle = COLOR.cornerLabel;
+      ctx.fillText(`T${r.number}`, xAt((r.entryM + r.exitM) / 2), PAD.top - 8);
+    });
+
+    // Speed grid
+    ctx.font = '10px Inter';
+    ctx.textAlign = 'right';
+    ctx.strokeStyle = COLOR.grid;
+    ctx.lineWidth = 1;
+    for (let kmh = 0; kmh <= maxKmh; kmh += SPEED_STEP) {
+      const y = ySpeed(kmh);
+      ctx.beginPath();
+      ctx.moveTo(PAD.left, y);
+      ctx.lineTo(W - PAD.right, y);
+      ctx.stroke();
+      ctx.fillStyle = COLOR.label;
+      ctx.fillText(kmh, PAD.left - 6, y + 3);
+    }
+
+    // Distance axis
+    ctx.textAlign = 'center';
+    for (let d = 0; d <= circuit.lengthM; d += DISTANCE_STEP) {
+      ctx.fillText(d ? `${d / 1000} km` : '0', xAt(d), H - 6);
+    }
+
+    // Reference braking points
+    ctx.strokeStyle = COLOR.brakeRef;
+    ctx.setLineDash([4, 4]);
+    rows.forEach(r => {
+      if (r.refBrakeM < 0) return;
+      ctx.beginPath();
+      ctx.moveTo(xAt(r.refBrakeM), PAD.top);
+      ctx.lineTo(xAt(r.refBrakeM), PAD.top + speedH);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    // Rider's speed trace
+    ctx.strokeStyle = COLOR.speed;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    sorted.forEach((s, i) => {
+      if (i === 0) ctx.moveTo(xAt(s[0]), ySpeed(s[1]));
+      else ctx.lineTo(xAt(s[0]), ySpeed(s[1]));
+    });
+    ctx.stroke();
+
+    // Reference entry speed at the braking point, exit speed at the corner exit
+    ctx.lineWidth = 3;
+    rows.forEach(r => {
+      [[Math.max(r.refBrakeM, 0), r.refEntryKmh, COLOR.entry], [r.exitM, r.refExitKmh, COLOR.exit]].forEach(([d, kmh, color]) => {
+        ctx.strokeStyle = color;
+        ctx.beginPath();
+        ctx.moveTo(xAt(d) - 6, ySpeed(kmh));
+        ctx.lineTo(xAt(d) + 6, ySpeed(kmh));
+        ctx.stroke();
+      });
+    });
+
+    // Throttle and brake, filled from the bottom of the pedal panel
+    [[2, COLOR.throttle], [3, COLOR.brake]].forEach(([field, color]) => {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(PAD.left, pedalTop + pedalH);
+      sorted.forEach(s => ctx.lineTo(xAt(s[0]), pedalTop + pedalH * (1 - s[field])));
+      ctx.lineTo(xAt(sorted.length ? sorted[sorted.length - 1][0] : 0), pedalTop + pedalH);
+      ctx.closePath();
+      ctx.fill();
+    });
+    ctx.strokeStyle = COLOR.grid;
+    ctx.lineWidth = 1;
+    ctx.strokeRect(PAD.left, pedalTop, plotW, pedalH);
+
+    return rows;
+  }
+
+  return { analyse, draw };
+})();
+
+window.Telemetry = Telemetry;
@@ -0,0 +1,37 @@
+/**
+ * test/helpers.js — Loading the browser modules under Node
+ *
+ * The modules are plain scripts that publish themselves on `window`. They are run
+ * here, in index.html order, in a fresh context whose `window` is its own global.
+ */
+
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+function loadScripts(...files) {
+  const context = vm.createContext({ console, Math });
+  context.window = context;
+  files.forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  });
+  return context;
+}
+
+// Track and physics, with the built-in circuit and its corner data.
+function loadRide() {
+  const context = loadScripts('circuit.js', 'track.js', 'physics.js');
+  return {
+    CircuitModel: context.CircuitModel,
+    RideTrack: context.RideTrack,
+    RidePhysics: context.RidePhysics,
+    circuit: context.CircuitModel.chang,
+    corners: JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'corners.json'), 'utf8')),
+  };
+}
+
+module.exports = { loadScripts, loadRide };
@@ -0,0 +1,117 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRide } = require('./helpers');
+
+const { RideTrack, RidePhysics, circuit, corners } = loadRide();
+const { STEP, KMH_PER_MS, MAX_SPEED, REV_LIMIT } = RidePhysics;
+const IDLE = { throttle: 0, brake: 0, steer: 0 };
+
+function track(grip = 1) {
+  const segments = RideTrack.buildTrack(corners, circuit);
+  RidePhysics.applyGrip(segments, corners, grip);
+  return segments;
+}
+
+function rider(segments, props) {
+  const speed = props.speed || 0;
+  return {
+    position: 0, speed, x: 0, lean: 0, gear: RidePhysics.gearFor(speed), demo: false, autoShift: false,
+    trackLength: segments.length * RideTrack.SEGMENT_LENGTH, ...props,
+  };
+}
+
+// One lap of the demo rider from a standing start on the line.
+function demoLap(grip) {
+  const segments = track(grip);
+  const s = rider(segments, { demo: true });
+  const lap = { time: 0, crashes: 0, offTrack: 0, topSpeed: 0, apexGears: {} };
+  for (;;) {
+    const step = RidePhysics.stepRider(s, IDLE, segments, [], grip, STEP);
+    lap.time += STEP;
+    if (step.crashed) lap.crashes++;
+    if (step.offTrack) lap.offTrack++;
+    lap.topSpeed = Math.max(lap.topSpeed, s.speed);
+    const seg = step.segment;
+    if (seg.cornerIndex && seg.cornerT >= 0.5 && !(seg.cornerIndex in lap.apexGears)) lap.apexGears[seg.cornerIndex] = s.gear;
+    if (step.lapped || lap.time > 300) return lap;
+  }
+}
+
+test('the demo rider laps the dry track in MotoGP time, without crashing', () => {
+  const lap = demoLap(1);
+  assert.equal(lap.crashes, 0);
+  assert.equal(lap.offTrack, 0);
+  assert.ok(lap.time > 90 && lap.time < 105, `lap ${lap.time.toFixed(3)} s`);
+});
+
+test('the demo rider is slower in the wet, still without crashing', () => {
+  const dry = demoLap(1), wet = demoLap(0.7);
+  assert.equal(wet.crashes, 0);
+  assert.ok(wet.time > dry.time + 5 && wet.time < dry.time + 25, `dry ${dry.time.toFixed(3)} s, wet ${wet.time.toFixed(3)} s`);
+});
+
+test('top speed on the back straight is real MotoGP speed, and never above MAX_SPEED', () => {
+  const lap = demoLap(1);
+  assert.ok(lap.topSpeed * KMH_PER_MS > 300, `${(lap.topSpeed * KMH_PER_MS).toFixed(0)} km/h`);
+  assert.ok(lap.topSpeed <= MAX_SPEED);
+});
+
+test('the automatic gearbox takes every corner in the gear of the corner data', () => {
+  const lap = demoLap(1);
+  corners.forEach(c => assert.equal(lap.apexGears[c.number], c.gear, `T${c.number}`));
+});
+
+test('the rev limiter holds a bike at the top of its gear', () => {
+  const segments = track();
+  const s = rider(segments, { gear: 2, speed: 100 / KMH_PER_MS });
+  for (let t = 0; t < 10; t += STEP) RidePhysics.stepRider(s, { throttle: 1, brake: 0, steer: 0 }, segments, [], 1, STEP);
+  assert.equal(s.gear, 2);
+  assert.ok(s.rpm <= REV_LIMIT * 1.01, `${s.rpm.toFixed(0)} rpm`);
+  assert.ok(s.speed * KMH_PER_MS > 130, `${(s.speed * KMH_PER_MS).toFixed(0)} km/h`);
+});
+
+test('a change down that would over-rev is refused', () => {
+  const segments = track();
+  const s = rider(segments, { gear: 4, speed: 180 / KMH_PER_MS });
+  assert.equal(RidePhysics.shift(s, -1), true);
+  assert.equal(s.gear, 3);
+  assert.equal(RidePhysics.shift(s, -1), false);
+  assert.equal(s.gear, 3);
+  assert.equal(RidePhysics.shift({ gear: RidePhysics.GEARS, speed: 0 }, 1), false);
+});
+
+test('full brakes stop the bike from 100 km/h in the distance 1.2 g takes', () => {
+  const segments = track();
+  // From the start of a stretch clear of every braking zone
+  const start = segments.findIndex((seg, i) =>
+    segments.slice(i, i + 10).every(s => !s.cornerIndex && !s.brakeFor && s.brakeG === RideTrack.BASE_DECEL_G));
+  const s = rider(segments, { position: start * RideTrack.SEGMENT_LENGTH, speed: 100 / KMH_PER_MS });
+  const from = s.position;
+  while (s.speed > 0) RidePhysics.stepRider(s, { throttle: 0, brake: 1, steer: 0 }, segments, [], 1, STEP);
+  const metres = (s.position - from) / RideTrack.UNITS_PER_METRE;
+  const expected = (100 / KMH_PER_MS) ** 2 / (2 * 1.2 * 9.81);
+  assert.ok(Math.abs(metres - expected) < 1, `${metres.toFixed(1)} m, expected ${expected.toFixed(1)} m`);
+});
+
+test('too fast through an apex crashes', () => {
+  const segments = track();
+  const apex = segments.findIndex(seg => seg.cornerIndex === 3 && seg.cornerT >= 0.5);
+  const s = rider(segments, { position: apex * RideTrack.SEGMENT_LENGTH, speed: 200 / KMH_PER_MS });
+  assert.equal(RidePhysics.stepRider(s, IDLE, segments, [], 1, STEP).crashed, true);
+});
+
+test('rivals on the grid all complete a lap on the tarmac', () => {
+  const segments = track();
+  const L = segments.length * RideTrack.SEGMENT_LENGTH;
+  const rivals = RidePhysics.gridRivals(L);
+  let t = 0, wide = 0;
+  while (rivals.some(r => r.lap < 1) && t < 300) {
+    RidePhysics.stepRivals(rivals, null, segments, 1, STEP);
+    wide += rivals.filter(r => Math.abs(r.x) > 1).length;
+    t += STEP;
+  }
+  assert.ok(rivals.every(r => r.lap >= 1), `after ${t.toFixed(0)} s: laps ${rivals.map(r => r.lap).join(', ')}`);
+  assert.equal(wide, 0);
+});
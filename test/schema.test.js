@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadScripts } = require('./helpers');
+
+const { CornerSchema } = loadScripts('i18n.js', 'schema.js');
+const corners = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'corners.json'), 'utf8'));
+const plain = corners.find(c => !c.brakingMarker);
+
+const markerErrors = marker => CornerSchema.validateCorner({ ...plain, brakingMarker: marker })
+  .filter(e => e.field === 'brakingMarker');
+
+test('the corner data is valid, braking markers included', () => {
+  assert.ok(corners.some(c => c.brakingMarker));
+  corners.forEach(c => assert.equal(CornerSchema.validateCorner(c).length, 0, `T${c.number}`));
+});
+
+test('a corner needs no braking marker', () => {
+  assert.equal(CornerSchema.validateCorner(plain).length, 0);
+});
+
+test('a braking marker with only a kind is valid', () => {
+  assert.equal(markerErrors({ kind: 'board' }).length, 0);
+});
+
+test('a braking marker of an unknown kind, side or colour is rejected', () => {
+  [
+    [{ kind: 'cone' }, 'brakingMarker.kind'],
+    [{ kind: 'line', side: 'middle' }, 'brakingMarker.side'],
+    [{ kind: 'board', color: 'orange' }, 'brakingMarker.color'],
+  ].forEach(([marker, field]) => {
+    const errors = markerErrors(marker);
+    assert.equal(errors.length, 1, JSON.stringify(marker));
+    assert.match(errors[0].message, new RegExp(field.replace('.', '\\.')));
+  });
+});
+
+test('a braking marker that is not an object is rejected', () => {
+  ['board', null, 3].forEach(marker => assert.equal(markerErrors(marker).length, 1, String(marker)));
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadRide } = require('./helpers');
+
+const { CircuitModel, RideTrack, circuit, corners } = loadRide();
+const { SEGMENT_METRES } = RideTrack;
+
+test('the track is as long as the circuit', () => {
+  const segments = RideTrack.buildTrack(corners, circuit);
+  assert.ok(Math.abs(segments.length * SEGMENT_METRES - circuit.lengthM) <= SEGMENT_METRES);
+});
+
+test('corners come round in the order of the corner data', () => {
+  const segments = RideTrack.buildTrack(corners, circuit);
+  const seen = [];
+  segments.forEach(seg => {
+    if (seg.cornerIndex && seg.cornerIndex !== seen[seen.length - 1]) seen.push(seg.cornerIndex);
+  });
+  assert.deepEqual(seen, corners.map(c => c.number));
+});
+
+test('braking zones end at their corner with its deceleration', () => {
+  const segments = RideTrack.buildTrack(corners, circuit);
+  corners.filter(c => c.decelG > RideTrack.BASE_DECEL_G).forEach(corner => {
+    const turnIn = segments.findIndex(seg => seg.cornerIndex === corner.number);
+    const before = segments[(turnIn - 1 + segments.length) % segments.length];
+    assert.equal(before.brakeFor, corner.number, `T${corner.number}`);
+    assert.equal(before.brakeG, corner.decelG, `T${corner.number}`);
+  });
+});
+
+// A circuit package may number its corners with gaps and list them in any order: here
+// Chang with no T4 (T4–T12 become T5–T13), its corner data listed last to first.
+test('a package numbered with a gap and listed out of order keeps each corner on its number', () => {
+  const renumber = n => (n < 4 ? n : n + 1);
+  const gapped = new CircuitModel({
+    id: 'gapped', name: 'Gapped', lengthM: circuit.lengthM, points: circuit.points,
+    corners: circuit.corners.map(c => ({ ...c, id: renumber(c.id) })),
+    sectors: circuit.sectors.map(renumber),
+  });
+  const data = corners.map(c => ({ ...c, number: renumber(c.number) })).reverse();
+  const segments = RideTrack.buildTrack(data, gapped);
+  const seen = [];
+  segments.forEach(seg => {
+    if (!seg.cornerIndex) return;
+    assert.ok(data.some(c => c.number === seg.cornerIndex), `T${seg.cornerIndex}`);
+    if (seg.cornerIndex !== seen[seen.length - 1]) seen.push(seg.cornerIndex);
+  });
+  assert.deepEqual(seen, corners.map(c => renumber(c.number)));
+  data.filter(c => c.decelG > RideTrack.BASE_DECEL_G).forEach(corner => {
+    const turnIn = segments.findIndex(seg => seg.cornerIndex === corner.number);
+    assert.equal(segments[(turnIn - 1 + segments.length) % segments.length].brakeG, corner.decelG, `T${corner.number}`);
+  });
+});
+
+test('the same seed gives the same scenery', () => {
+  const a = RideTrack.buildTrack(corners, circuit, 42);
+  const b = RideTrack.buildTrack(corners, circuit, 42);
+  assert.deepEqual(a.map(seg => [seg.objects, seg.skid, seg.noise]), b.map(seg => [seg.objects, seg.skid, seg.noise]));
+});
+
+test('another seed gives other scenery, and the default seed is the circuit id', () => {
+  const trees = segments => segments.flatMap(seg => seg.objects.filter(o => o.type === 'tree').map(o => o.offset));
+  assert.notDeepEqual(trees(RideTrack.buildTrack(corners, circuit, 1)), trees(RideTrack.buildTrack(corners, circuit, 2)));
+  assert.deepEqual(
+    trees(RideTrack.buildTrack(corners, circuit)),
+    trees(RideTrack.buildTrack(corners, circuit, RideTrack.seedFor(circuit.id))));
+});
+
+test('the generator stays within 0–1', () => {
+  const random = RideTrack.createRng(7);
+  for (let i = 0; i < 1000; i++) {
+    const r = random();
+    assert.ok(r >= 0 && r < 1);
+  }
+});
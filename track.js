@@ -0,0 +1,136 @@
+/**
+ * track.js — Ride 3D Track Builder
+ * Buriram GP MotoGP Circuit Simulator
+ *
+ * Slices a circuit model (circuit.js) into the equal segments Ride 3D rides and
+ * draws: curve, elevation, width, corner, braking grip and scenery. Scenery is
+ * placed by a seeded generator, so a circuit looks the same every session.
+ * No DOM here: the module also runs under Node for the tests in test/.
+ */
+
+'use strict';
+
+const RideTrack = (() => {
+
+  // ─── Geometry ───────────────────────────────────────────────────────────────
+  const SEGMENT_LENGTH = 200;       // engine units along the track
+  const SEGMENT_METRES = 5;         // real track length per segment
+  const UNITS_PER_METRE = SEGMENT_LENGTH / SEGMENT_METRES;
+  const CURVE_SCALE = 11;           // radians of turn per segment → curve units
+  const ROAD_WIDTH = 2200;
+  const STANDARD_WIDTH_M = 12;      // track width ROAD_WIDTH represents
+  // Elevation uses the road's lateral scale, so a crest stands as tall against the tarmac as it does in metres
+  const ELEVATION_UNITS = ROAD_WIDTH / STANDARD_WIDTH_M;
+  const RUMBLE_LENGTH = 3;
+  const BASE_DECEL_G = 1.2;         // braking grip of a segment outside the corners' braking zones
+
+  // ─── Scenery ────────────────────────────────────────────────────────────────
+  const SKID_SHARE = 0.3;           // corner entries with braking skid marks
+  const NOISE_SPECKS = 3;           // asphalt noise specks per segment
+
+  // ─── Seeded Random ──────────────────────────────────────────────────────────
+  // mulberry32: a small 32-bit generator; the same seed always gives the same 0–1 sequence.
+  function createRng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // A seed from a string (FNV-1a), so each circuit id gets scenery of its own.
+  function seedFor(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  // ─── Track Model ────────────────────────────────────────────────────────────
+  // Segments are equal slices of the shared circuit model (circuit.js).
+  // `curve` is the heading change across the slice, scaled to screen units.
+  // maxSpeed, aiSpeed and aiX are left for RidePhysics.applyGrip() (physics.js).
+
+  function buildTrack(corners, circuit, seed = seedFor(circuit.id)) {
+    const random = createRng(seed);
+    const segments = [];
+    let id = 0;
+
+    circuit.buildSegments(SEGMENT_METRES).forEach(slice => {
+      const isCorner = slice.cornerId !== null;
+
+      segments.push({
+        index: id++,
+        curve: slice.turn * CURVE_SCALE,
+        elevation: slice.elevation,
+        y: slice.elevation * ELEVATION_UNITS,   // world height of the segment
+        width: slice.width,
+        maxSpeed: Infinity,
+        brakeG: BASE_DECEL_G,
+        surface: isCorner ? 'gravel' : 'grass',
+        cornerIndex: slice.cornerId,
+        cornerT: slice.cornerT,
+        color: Math.floor(id / RUMBLE_LENGTH) % 2,
+        skid: (isCorner && slice.cornerT < 0.25) ? random() < SKID_SHARE : false, // Braking skid marks
+        noise: Array.from({ length: NOISE_SPECKS }, () => [random(), random()]),
+        objects: []
+      });
+    });
+
+    markBrakingZones(segments, corners);
+
+    // Populate objects
+    segments.forEach((seg, i) => {
+      // Trees everywhere
+      if (i % 8 === 0) {
+        seg.objects.push({ type: 'tree', offset: (random() > 0.5 ? 1.8 : -1.8) + (random() * 0.5) });
+      }
+      // Grandstands at main straights and major corners
+      if ((i < 60) || (i > 250 && i < 350) || (i > id - 100)) {
+        if (i % 15 === 0) seg.objects.push({ type: 'grandstand', offset: -2.5 });
+      }
+      // Sponsor boards at curves
+      if (seg.cornerIndex && i % 10 === 0) {
+        seg.objects.push({ type: 'sponsor', offset: 1.3 });
+      }
+    });
+
+    return segments;
+  }
+
+  // The brakingDistance before each corner gets that corner's decelG of braking grip.
+  function markBrakingZones(segments, corners) {
+    corners.forEach(corner => {
+      const start = segments.findIndex(seg => seg.cornerIndex === corner.number);
+      if (start < 0) return;
+      const zoneLen = Math.round(corner.brakingDistance / SEGMENT_METRES);
+      for (let i = 1; i <= zoneLen; i++) {
+        const seg = segments[(start - i + segments.length) % segments.length];
+        if (seg.cornerIndex) break;
+        seg.brakeG = Math.max(seg.brakeG, corner.decelG);
+        seg.brakeFor = corner.number;
+      }
+    });
+  }
+
+  return {
+    SEGMENT_LENGTH,
+    SEGMENT_METRES,
+    UNITS_PER_METRE,
+    CURVE_SCALE,
+    ROAD_WIDTH,
+    STANDARD_WIDTH_M,
+    RUMBLE_LENGTH,
+    BASE_DECEL_G,
+    createRng,
+    seedFor,
+    buildTrack,
+  };
+})();
+
+window.RideTrack = RideTrack;